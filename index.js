@@ -6,9 +6,17 @@ const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
 const multer = require('multer');
 const cors = require('cors');
+const sharp = require('sharp');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 require('dotenv').config();
 
 const app = express();
@@ -19,20 +27,21 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
+// Behind Vercel's proxy, so req.ip comes from X-Forwarded-For
+app.set('trust proxy', 1);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Initialize Supabase
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
-const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
 const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
 
 // JWT Configuration
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
 
 // Payment Configuration
 const SUB_AMOUNT = parseFloat(process.env.SUB_AMOUNT) || 50;
@@ -41,6 +50,151 @@ const REFERRAL_SUB_COMMISSION = parseFloat(process.env.REFERRAL_SUB_COMMISSION)
 const REFERRAL_UPGRADE_COMMISSION = parseFloat(process.env.REFERRAL_UPGRADE_COMMISSION) || 100;
 const WITHDRAWAL_FEE_PERCENT = parseFloat(process.env.WITHDRAWAL_FEE_PERCENT) || 10;
 
+// M-Pesa (Daraja) Configuration
+// MPESA_BASE_URL overrides the Safaricom host, e.g. to point at a local mock Daraja server
+const MPESA_BASE_URL = process.env.MPESA_BASE_URL || (
+  process.env.MPESA_ENV === 'production'
+    ? 'https://api.safaricom.co.ke'
+    : 'https://sandbox.safaricom.co.ke'
+);
+const MPESA_CONSUMER_KEY = process.env.MPESA_CONSUMER_KEY;
+const MPESA_CONSUMER_SECRET = process.env.MPESA_CONSUMER_SECRET;
+const MPESA_SHORTCODE = process.env.MPESA_SHORTCODE || process.env.MPESA_PAYBILL || '174379';
+const MPESA_PASSKEY = process.env.MPESA_PASSKEY;
+const MPESA_CALLBACK_BASE_URL = process.env.MPESA_CALLBACK_BASE_URL;
+const MPESA_CALLBACK_SECRET = process.env.MPESA_CALLBACK_SECRET;
+const MPESA_B2C_SHORTCODE = process.env.MPESA_B2C_SHORTCODE || MPESA_SHORTCODE;
+const MPESA_INITIATOR_NAME = process.env.MPESA_INITIATOR_NAME;
+const MPESA_SECURITY_CREDENTIAL = process.env.MPESA_SECURITY_CREDENTIAL;
+
+if (!MPESA_CALLBACK_SECRET) {
+  console.error('❌ MPESA_CALLBACK_SECRET is not set: all M-Pesa callbacks will be rejected');
+}
+
+// Subscription & Expiry Configuration
+const SUBSCRIPTION_DAYS = parseInt(process.env.SUBSCRIPTION_DAYS) || 7;
+const UPGRADE_DAYS = parseInt(process.env.UPGRADE_DAYS) || 30;
+const EXPIRY_REMINDER_HOURS = parseInt(process.env.EXPIRY_REMINDER_HOURS) || 48;
+const CRON_SECRET = process.env.CRON_SECRET;
+
+// Boost Configuration
+const BOOST_AMOUNT = parseFloat(process.env.BOOST_AMOUNT) || 100;
+const BOOST_DAYS = parseInt(process.env.BOOST_DAYS) || 7;
+
+// Order Configuration
+const ORDER_MAX_ITEMS = 20;
+const ORDER_MAX_QUANTITY = 100;
+// Next statuses an order may move to, and who may move it there
+const ORDER_TRANSITIONS = {
+  pending: { confirmed: ['seller'], cancelled: ['buyer', 'seller'] },
+  confirmed: { dispatched: ['seller'], cancelled: ['seller'] },
+  dispatched: { delivered: ['buyer', 'seller'] },
+  delivered: {},
+  cancelled: {}
+};
+
+// Messaging Configuration
+const MESSAGE_MAX_LENGTH = 2000;
+const MESSAGE_PREVIEW_LENGTH = 100;
+
+// Job Application Configuration
+const APPLICATION_STAGES = ['new', 'shortlisted', 'interview', 'rejected', 'hired'];
+
+// Comment Configuration
+const COMMENT_MAX_LENGTH = 1000;
+const COMMENT_COLUMNS = `
+  id, post_id, parent_id, body, edited_at, created_at,
+  user:users(id, name, profile_picture, verified)
+`;
+
+// Feed Configuration
+const FEED_PAGE_SIZE = 20;
+
+// Saved Search Configuration
+const SAVED_SEARCH_LIMIT = 20;
+const SAVED_SEARCH_FILTERS = ['type', 'category', 'location', 'minPrice', 'maxPrice', 'search'];
+// instant: notify on every new match; daily: one digest per search from the cron job
+const SAVED_SEARCH_ALERT_MODES = ['instant', 'daily', 'off'];
+// New posts are queued and matched by /api/cron/saved-search-alerts, never inside the request
+const SAVED_SEARCH_ALERT_BATCH = 100;
+const SAVED_SEARCH_PAGE_SIZE = 500;
+const SAVED_SEARCH_CLAIM_MINUTES = 15;
+
+// OTP Configuration
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+const OTP_MAX_PER_HOUR = 5;
+
+// SMS & Email Delivery Configuration
+// 'console' logs messages and 'file' appends them to OUTBOX_FILE, for local development.
+// Both would leak one-time codes, so production only sends through a real provider.
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const DEV_MESSAGE_PROVIDERS = ['console', 'file'];
+const SMS_PROVIDER = process.env.SMS_PROVIDER || (IS_PRODUCTION ? null : 'console');
+const EMAIL_PROVIDER = process.env.EMAIL_PROVIDER || (IS_PRODUCTION ? null : 'console');
+const OUTBOX_FILE = process.env.OUTBOX_FILE || path.join(os.tmpdir(), 'sokoplus-outbox.log');
+const AFRICASTALKING_BASE_URL = (process.env.AFRICASTALKING_BASE_URL || 'https://api.africastalking.com').replace(/\/$/, '');
+const AFRICASTALKING_USERNAME = process.env.AFRICASTALKING_USERNAME;
+const AFRICASTALKING_API_KEY = process.env.AFRICASTALKING_API_KEY;
+const AFRICASTALKING_SENDER_ID = process.env.AFRICASTALKING_SENDER_ID;
+const RESEND_API_KEY = process.env.RESEND_API_KEY;
+const EMAIL_FROM = process.env.EMAIL_FROM || 'SokoPlus <no-reply@sokoplus.co.ke>';
+
+if (IS_PRODUCTION) {
+  for (const [setting, provider] of [['SMS_PROVIDER', SMS_PROVIDER], ['EMAIL_PROVIDER', EMAIL_PROVIDER]]) {
+    if (!provider || DEV_MESSAGE_PROVIDERS.includes(provider)) {
+      console.error(`❌ ${setting} must name a real provider in production: codes sent through it will fail`);
+    }
+  }
+}
+
+// Staff Roles & Permissions
+// Every /api/admin route needs one of these permissions
+const ADMIN_PERMISSIONS = [
+  'stats:view',
+  'users:view',
+  'users:manage',
+  'roles:assign',
+  'payments:view',
+  'payments:approve',
+  'withdrawals:view',
+  'withdrawals:approve',
+  'wallets:view',
+  'orders:view',
+  'talent:view',
+  'content:moderate',
+  'conversations:moderate',
+  'audit:view'
+];
+const ROLE_PERMISSIONS = {
+  moderator: ['stats:view', 'users:view', 'content:moderate', 'conversations:moderate'],
+  support: [
+    'stats:view', 'users:view', 'users:manage', 'payments:view', 'withdrawals:view',
+    'wallets:view', 'orders:view', 'talent:view', 'conversations:moderate'
+  ],
+  finance: [
+    'stats:view', 'users:view', 'payments:view', 'payments:approve',
+    'withdrawals:view', 'withdrawals:approve', 'wallets:view', 'orders:view', 'audit:view'
+  ],
+  superadmin: ADMIN_PERMISSIONS
+};
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+const USER_ROLES = ['user', ...STAFF_ROLES];
+
+// Two-Factor Authentication Configuration
+const TWO_FACTOR_ISSUER = 'SokoPlus';
+const TWO_FACTOR_REQUIRED_ROLES = STAFF_ROLES;
+const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+// Sensitive actions need a code entered within this many minutes
+const TWO_FACTOR_FRESH_MINUTES = parseInt(process.env.TWO_FACTOR_FRESH_MINUTES) || 5;
+const TWO_FACTOR_MAX_FAILURES = 5;
+const TWO_FACTOR_LOCK_MINUTES = 15;
+const RECOVERY_CODE_COUNT = 10;
+// Accept the previous and next 30-second code as well, for phone clock drift
+authenticator.options = { window: 1 };
+
 // Authentication Middleware
 const authenticateToken = async (req, res, next) => {
   try {
@@ -76,7 +230,29 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
+    // Access tokens belong to a session, so logging out or revoking a device ends them at once
+    const { data: session } = decoded.sid
+      ? await supabaseAdmin
+        .from('sessions')
+        .select('id, revoked_at, expires_at, two_factor_verified_at')
+        .eq('id', decoded.sid)
+        .eq('user_id', user.id)
+        .single()
+      : { data: null };
+    
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has ended. Please log in again' 
+      });
+    }
+    
+    // Enforce lapsed plans straight away rather than waiting for the cron job
+    await expireLapsedPlans(user);
+    
     req.user = user;
+    req.sessionId = session.id;
+    req.twoFactorVerifiedAt = session.two_factor_verified_at;
     next();
   } catch (error) {
     return res.status(403).json({ 
@@ -86,14 +262,120 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Admin Middleware
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+async function expireLapsedPlans(user) {
+  const now = new Date();
+  const updateData = {};
+  
+  if (user.subscription_active && user.subscription_expires_at && new Date(user.subscription_expires_at) <= now) {
+    updateData.subscription_active = false;
+  }
+  
+  if (user.upgraded && user.upgrade_expires_at && new Date(user.upgrade_expires_at) <= now) {
+    updateData.upgraded = false;
+  }
+  
+  if (Object.keys(updateData).length === 0) return;
+  
+  Object.assign(user, updateData);
+  
+  await supabaseAdmin
+    .from('users')
+    .update({ ...updateData, updated_at: now.toISOString() })
+    .eq('id', user.id);
+  
+  if (updateData.subscription_active === false) {
+    await createNotification(user.id, {
+      title: 'Subscription Expired',
+      message: `Your subscription has expired. Renew for ${formatPrice(SUB_AMOUNT)} to keep posting`,
+      type: 'subscription',
+      data: { plan: 'subscription', expiredAt: user.subscription_expires_at }
+    });
+  }
+  
+  if (updateData.upgraded === false) {
+    await createNotification(user.id, {
+      title: 'Premium Expired',
+      message: `Your premium upgrade has expired. Renew for ${formatPrice(UPGRADE_AMOUNT)} to keep your premium features`,
+      type: 'subscription',
+      data: { plan: 'upgrade', expiredAt: user.upgrade_expires_at }
+    });
+  }
+}
+
+// Cron Middleware
+// Vercel cron sends the project's CRON_SECRET as a bearer token
+const authenticateCron = (req, res, next) => {
+  if (!CRON_SECRET || req.headers['authorization'] !== `Bearer ${CRON_SECRET}`) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Unauthorized' 
+    });
+  }
+  next();
+};
+
+// Permission Middleware
+// Staff must have 2FA enabled and have passed it when signing in
+const requirePermission = (permission) => (req, res, next) => {
+  const permissions = ROLE_PERMISSIONS[req.user.role];
+  
+  if (!permissions) {
     return res.status(403).json({ 
       success: false, 
       message: 'Admin access required' 
     });
   }
+  
+  if (!req.user.two_factor_enabled || !req.twoFactorVerifiedAt) {
+    return res.status(403).json({ 
+      success: false, 
+      message: req.user.two_factor_enabled
+        ? 'Confirm your authenticator code to use admin features'
+        : 'Set up two-factor authentication to use admin features',
+      twoFactorRequired: true
+    });
+  }
+  
+  if (!permissions.includes(permission)) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Your role does not allow this action',
+      permission
+    });
+  }
+  next();
+};
+
+// For staff overrides inside user-facing routes, e.g. a moderator deleting a post
+function hasPermission(req, permission) {
+  const permissions = ROLE_PERMISSIONS[req.user.role] || [];
+  return permissions.includes(permission) && Boolean(req.user.two_factor_enabled && req.twoFactorVerifiedAt);
+}
+
+// Fresh Two-Factor Middleware
+// For sensitive actions: the session must have passed a 2FA check in the last few minutes
+const requireFreshTwoFactor = (req, res, next) => {
+  const verifiedAt = req.twoFactorVerifiedAt ? new Date(req.twoFactorVerifiedAt).getTime() : 0;
+  
+  if (Date.now() - verifiedAt > TWO_FACTOR_FRESH_MINUTES * 60 * 1000) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Confirm your authenticator code to continue',
+      twoFactorRequired: true
+    });
+  }
+  next();
+};
+
+// Verified Phone Middleware
+const requireVerifiedPhone = (req, res, next) => {
+  if (!req.user.verified) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Verify your phone number to continue',
+      verificationRequired: true
+    });
+  }
   next();
 };
 
@@ -107,10 +389,64 @@ const upload = multer({
   }
 });
 
+// Runs a multer middleware and answers upload limit errors with a 400
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message 
+      });
+    }
+    next(error);
+  });
+};
+
+// Image Storage Configuration
+const IMAGES_BUCKET = process.env.SUPABASE_IMAGES_BUCKET || 'images';
+const IMAGE_MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 400;
+const ALLOWED_IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'heif'];
+
+// CV Storage Configuration
+// CVs live in a private bucket and are only handed out as expiring signed links
+const CV_BUCKET = process.env.SUPABASE_CV_BUCKET || 'cvs';
+const CV_MAX_SIZE = 5 * 1024 * 1024; // 5MB
+const CV_DOWNLOAD_TTL_SECONDS = parseInt(process.env.CV_DOWNLOAD_TTL_SECONDS) || 600;
+const CV_FILE_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+const CV_COLUMNS = 'id, user_id, title, file_url, file_name, file_type, file_size, summary, skills, experience, expected_salary, location, visibility, uploaded_at, status';
+// Talent directory listings leave out the file and anything that reveals who to contact
+const TALENT_COLUMNS = `
+  id, title, summary, skills, experience, expected_salary, location, visibility, uploaded_at,
+  candidate:users(id, name, profile_picture, verified)
+`;
+const CV_VISIBILITIES = ['public', 'employers', 'private'];
+
+// Review Configuration
+const REVIEW_COLUMNS = `
+  id, rating, comment, reply, replied_at, created_at, updated_at,
+  user:users(id, name, profile_picture, verified)
+`;
+
 // ============================================
 // DATABASE INITIALIZATION
 // ============================================
 
+// Weighted search document for posts: title first, then company and category,
+// then description and content. It is indexed as an expression, and queries
+// must repeat it exactly for the index to be used. The 'simple' configuration
+// does no stemming, which would only suit English; prefix matching covers
+// word endings instead.
+const POSTS_SEARCH_VECTOR = `
+  setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('simple', coalesce(company, '') || ' ' || coalesce(category, '')), 'B') ||
+  setweight(to_tsvector('simple', coalesce(description, '')), 'C') ||
+  setweight(to_tsvector('simple', coalesce(content, '')), 'D')
+`;
+
 async function initializeDatabase() {
   console.log('🚀 Initializing SOKOPLUS Database...');
   
@@ -134,9 +470,23 @@ async function initializeDatabase() {
         subscription_expires_at TIMESTAMPTZ,
         upgraded BOOLEAN DEFAULT false,
         upgraded_at TIMESTAMPTZ,
+        upgrade_expires_at TIMESTAMPTZ,
+        subscription_reminder_sent_at TIMESTAMPTZ,
+        upgrade_reminder_sent_at TIMESTAMPTZ,
+        pending_phone VARCHAR(20),
+        phone_verified_at TIMESTAMPTZ,
+        two_factor_enabled BOOLEAN DEFAULT false,
+        two_factor_secret TEXT,
+        two_factor_pending_secret TEXT,
+        two_factor_recovery_codes TEXT[],
+        two_factor_last_step BIGINT,
+        two_factor_failures INTEGER DEFAULT 0,
+        two_factor_locked_until TIMESTAMPTZ,
+        two_factor_enabled_at TIMESTAMPTZ,
         earnings_balance DECIMAL(10,2) DEFAULT 0,
         earnings_total DECIMAL(10,2) DEFAULT 0,
         earnings_withdrawn DECIMAL(10,2) DEFAULT 0,
+        earnings_held DECIMAL(10,2) DEFAULT 0,
         role VARCHAR(20) DEFAULT 'user',
         verified BOOLEAN DEFAULT false,
         status VARCHAR(20) DEFAULT 'active',
@@ -170,6 +520,9 @@ async function initializeDatabase() {
         user_id UUID REFERENCES users(id) ON DELETE CASCADE,
         views INTEGER DEFAULT 0,
         likes UUID[] DEFAULT '{}',
+        rating DECIMAL(3,2) DEFAULT 0,
+        review_count INTEGER DEFAULT 0,
+        comment_count INTEGER DEFAULT 0,
         status VARCHAR(20) DEFAULT 'active',
         created_at TIMESTAMPTZ DEFAULT NOW(),
         updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -186,6 +539,12 @@ async function initializeDatabase() {
         transaction_code VARCHAR(100) UNIQUE NOT NULL,
         status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'failed')),
         post_id UUID REFERENCES posts(id) ON DELETE SET NULL,
+        phone VARCHAR(20),
+        checkout_request_id VARCHAR(100) UNIQUE,
+        merchant_request_id VARCHAR(100),
+        mpesa_receipt VARCHAR(50),
+        result_desc TEXT,
+        rejection_reason TEXT,
         created_at TIMESTAMPTZ DEFAULT NOW(),
         updated_at TIMESTAMPTZ DEFAULT NOW()
       );
@@ -200,8 +559,15 @@ async function initializeDatabase() {
         fee DECIMAL(10,2) DEFAULT 0,
         net_amount DECIMAL(10,2) NOT NULL,
         mpesa_number VARCHAR(20) NOT NULL,
-        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'failed', 'processed')),
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'failed', 'processed', 'rejected', 'cancelled')),
         approved_at TIMESTAMPTZ,
+        rejection_reason TEXT,
+        cancelled_at TIMESTAMPTZ,
+        conversation_id VARCHAR(100) UNIQUE,
+        originator_conversation_id VARCHAR(100),
+        mpesa_receipt VARCHAR(50),
+        result_desc TEXT,
+        processed_at TIMESTAMPTZ,
         created_at TIMESTAMPTZ DEFAULT NOW(),
         updated_at TIMESTAMPTZ DEFAULT NOW()
       );
@@ -215,7 +581,8 @@ async function initializeDatabase() {
         referred_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
         commission DECIMAL(10,2) NOT NULL,
         type VARCHAR(20) DEFAULT 'subscription' CHECK (type IN ('subscription', 'upgrade')),
-        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'paid')),
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'paid', 'cancelled')),
+        payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
         created_at TIMESTAMPTZ DEFAULT NOW(),
         updated_at TIMESTAMPTZ DEFAULT NOW(),
         UNIQUE(referrer_id, referred_user_id, type)
@@ -228,6 +595,7 @@ async function initializeDatabase() {
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         user_id UUID REFERENCES users(id) ON DELETE CASCADE UNIQUE,
         name VARCHAR(100) NOT NULL,
+        slug VARCHAR(80) UNIQUE,
         description TEXT,
         category VARCHAR(50),
         logo TEXT,
@@ -236,6 +604,7 @@ async function initializeDatabase() {
         location VARCHAR(100),
         business_hours VARCHAR(100),
         rating DECIMAL(3,2) DEFAULT 0,
+        review_count INTEGER DEFAULT 0,
         total_sales INTEGER DEFAULT 0,
         created_at TIMESTAMPTZ DEFAULT NOW(),
         updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -248,13 +617,20 @@ async function initializeDatabase() {
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         user_id UUID REFERENCES users(id) ON DELETE CASCADE,
         title VARCHAR(255) NOT NULL,
-        file_url TEXT NOT NULL,
+        file_url TEXT,
+        file_path TEXT,
+        file_name VARCHAR(255),
+        file_type VARCHAR(10),
+        file_size INTEGER,
+        extracted_text TEXT,
         summary TEXT,
         skills TEXT[] DEFAULT '{}',
         experience VARCHAR(50),
         expected_salary DECIMAL(10,2),
         location VARCHAR(100),
+        visibility VARCHAR(20) DEFAULT 'private' CHECK (visibility IN ('public', 'employers', 'private')),
         uploaded_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
         status VARCHAR(20) DEFAULT 'active'
       );
     `;
@@ -273,6 +649,318 @@ async function initializeDatabase() {
       );
     `;
     
+    // Create reviews table
+    // A review targets either a shop or a single product/service post, never both
+    const reviewsTable = `
+      CREATE TABLE IF NOT EXISTS reviews (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        shop_id UUID REFERENCES shops(id) ON DELETE CASCADE,
+        post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        comment TEXT,
+        reply TEXT,
+        replied_at TIMESTAMPTZ,
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+        removal_reason TEXT,
+        removed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        removed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        CHECK ((shop_id IS NULL) <> (post_id IS NULL))
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS reviews_user_shop_idx ON reviews (user_id, shop_id) WHERE shop_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS reviews_user_post_idx ON reviews (user_id, post_id) WHERE post_id IS NOT NULL;
+    `;
+    
+    // Create orders tables
+    // Items copy the post's title and price so an order keeps what the buyer agreed to
+    const ordersTable = `
+      CREATE TABLE IF NOT EXISTS orders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        buyer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        seller_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        shop_id UUID REFERENCES shops(id) ON DELETE SET NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'dispatched', 'delivered', 'cancelled')),
+        total_amount DECIMAL(12,2) NOT NULL,
+        delivery_name VARCHAR(100) NOT NULL,
+        delivery_phone VARCHAR(20) NOT NULL,
+        delivery_address TEXT NOT NULL,
+        delivery_location VARCHAR(100),
+        notes TEXT,
+        cancellation_reason TEXT,
+        cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        confirmed_at TIMESTAMPTZ,
+        dispatched_at TIMESTAMPTZ,
+        delivered_at TIMESTAMPTZ,
+        cancelled_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS orders_buyer_idx ON orders (buyer_id, created_at);
+      CREATE INDEX IF NOT EXISTS orders_seller_idx ON orders (seller_id, created_at);
+      
+      CREATE TABLE IF NOT EXISTS order_items (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+        post_id UUID REFERENCES posts(id) ON DELETE SET NULL,
+        title VARCHAR(255),
+        price DECIMAL(10,2) NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        subtotal DECIMAL(12,2) NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS order_items_order_idx ON order_items (order_id);
+    `;
+    
+    // Create messaging tables
+    // A conversation is between the buyer who started it and the seller of the
+    // post or shop it was started from; one per buyer and post or shop
+    const messagingTables = `
+      CREATE TABLE IF NOT EXISTS conversations (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        buyer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        seller_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        post_id UUID REFERENCES posts(id) ON DELETE SET NULL,
+        shop_id UUID REFERENCES shops(id) ON DELETE SET NULL,
+        last_message_preview TEXT,
+        last_message_at TIMESTAMPTZ,
+        blocked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        blocked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS conversations_context_idx ON conversations (buyer_id, seller_id, COALESCE(post_id, shop_id));
+      CREATE INDEX IF NOT EXISTS conversations_seller_idx ON conversations (seller_id, last_message_at);
+      
+      CREATE TABLE IF NOT EXISTS messages (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+        sender_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        body TEXT,
+        image_url TEXT,
+        thumbnail_url TEXT,
+        read_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS messages_conversation_idx ON messages (conversation_id, created_at);
+      
+      CREATE TABLE IF NOT EXISTS conversation_reports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+        reporter_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        reason TEXT NOT NULL,
+        status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+    
+    // Create job applications table
+    const jobApplicationsTable = `
+      CREATE TABLE IF NOT EXISTS job_applications (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+        applicant_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        cv_id UUID REFERENCES cvs(id) ON DELETE SET NULL,
+        cover_note TEXT,
+        stage VARCHAR(20) DEFAULT 'new' CHECK (stage IN ('new', 'shortlisted', 'interview', 'rejected', 'hired')),
+        employer_notes TEXT,
+        stage_changed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(post_id, applicant_id)
+      );
+      CREATE INDEX IF NOT EXISTS job_applications_cv_idx ON job_applications (cv_id);
+    `;
+    
+    // Create contact requests table
+    // Employers browsing the talent directory only see a candidate's contact
+    // details once the candidate accepts their request
+    const contactRequestsTable = `
+      CREATE TABLE IF NOT EXISTS contact_requests (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        cv_id UUID REFERENCES cvs(id) ON DELETE CASCADE,
+        employer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        candidate_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        message TEXT,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+        responded_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(cv_id, employer_id)
+      );
+    `;
+    
+    // Create comments table
+    // Replies point at a top-level comment; replies to replies are not allowed
+    const commentsTable = `
+      CREATE TABLE IF NOT EXISTS comments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+        body TEXT NOT NULL,
+        edited_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS comments_post_idx ON comments (post_id, created_at);
+      CREATE INDEX IF NOT EXISTS comments_parent_idx ON comments (parent_id);
+    `;
+    
+    // Create follows table
+    // A follow targets either a user or a shop
+    const followsTable = `
+      CREATE TABLE IF NOT EXISTS follows (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        follower_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        shop_id UUID REFERENCES shops(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        CHECK ((user_id IS NULL) <> (shop_id IS NULL))
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS follows_user_idx ON follows (follower_id, user_id) WHERE user_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS follows_shop_idx ON follows (follower_id, shop_id) WHERE shop_id IS NOT NULL;
+    `;
+    
+    // Create saved posts & searches tables
+    // saved_search_queue holds new posts until the alert job matches them;
+    // saved_search_matches queues matching posts until they are notified,
+    // either on the next alert run or in the daily digest
+    const savedTables = `
+      CREATE TABLE IF NOT EXISTS saved_posts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(user_id, post_id)
+      );
+      
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        filters JSONB NOT NULL DEFAULT '{}',
+        alert_mode VARCHAR(20) DEFAULT 'instant' CHECK (alert_mode IN ('instant', 'daily', 'off')),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS saved_searches_alert_idx ON saved_searches (alert_mode);
+      CREATE INDEX IF NOT EXISTS saved_searches_match_idx ON saved_searches ((filters->>'type'), (filters->>'category'))
+        WHERE alert_mode <> 'off';
+      
+      CREATE TABLE IF NOT EXISTS saved_search_queue (
+        post_id UUID PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+        claimed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      
+      CREATE TABLE IF NOT EXISTS saved_search_matches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        saved_search_id UUID REFERENCES saved_searches(id) ON DELETE CASCADE,
+        post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+        notified_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(saved_search_id, post_id)
+      );
+      CREATE INDEX IF NOT EXISTS saved_search_matches_pending_idx ON saved_search_matches (saved_search_id) WHERE notified_at IS NULL;
+    `;
+    
+    // Create OTP codes table
+    // Codes are stored as bcrypt hashes; only the newest unconsumed code per purpose works
+    const otpCodesTable = `
+      CREATE TABLE IF NOT EXISTS otp_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(30) NOT NULL,
+        channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email')),
+        destination VARCHAR(255) NOT NULL,
+        code_hash TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        expires_at TIMESTAMPTZ NOT NULL,
+        consumed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS otp_codes_user_idx ON otp_codes (user_id, purpose, created_at);
+    `;
+    
+    // Create sessions table
+    // One row per signed-in device. Refresh tokens are stored as SHA-256 hashes
+    // and rotate on every use; the previous hash is kept to spot a stolen token
+    // being replayed after the real client has already rotated it.
+    const sessionsTable = `
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL,
+        previous_token_hash VARCHAR(64),
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        last_used_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        revoked_at TIMESTAMPTZ,
+        revoked_reason VARCHAR(50),
+        two_factor_verified_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS sessions_user_idx ON sessions (user_id) WHERE revoked_at IS NULL;
+    `;
+    
+    // Create ledger entries table
+    // Every money movement is one transaction of two or more rows that sum to zero:
+    // a negative row on the account the money leaves and a positive row on the
+    // account it reaches. user_available and user_held are the user's wallet;
+    // the other accounts are the platform's side of each movement.
+    const ledgerEntriesTable = `
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        transaction_id UUID NOT NULL,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        account VARCHAR(30) NOT NULL CHECK (account IN ('user_available', 'user_held', 'commission_expense', 'mpesa_payouts', 'withdrawal_fees')),
+        entry_type VARCHAR(30) NOT NULL CHECK (entry_type IN ('opening_balance', 'commission', 'withdrawal_hold', 'withdrawal_release', 'payout', 'fee', 'reversal')),
+        amount DECIMAL(12,2) NOT NULL,
+        reference_type VARCHAR(30),
+        reference_id UUID,
+        description TEXT,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS ledger_entries_user_idx ON ledger_entries (user_id, created_at);
+      CREATE INDEX IF NOT EXISTS ledger_entries_reference_idx ON ledger_entries (reference_type, reference_id);
+    `;
+    
+    // Create audit logs table
+    // Append-only record of privileged actions. The actor's email and role are
+    // copied in so entries stay readable after the account changes, and a
+    // trigger refuses any UPDATE, DELETE or TRUNCATE.
+    const auditLogsTable = `
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        actor_id UUID NOT NULL,
+        actor_email VARCHAR(255),
+        actor_role VARCHAR(20),
+        action VARCHAR(50) NOT NULL,
+        target_type VARCHAR(30) NOT NULL,
+        target_id UUID,
+        changes JSONB DEFAULT '{}',
+        reason TEXT,
+        metadata JSONB,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS audit_logs_created_idx ON audit_logs (created_at DESC);
+      CREATE INDEX IF NOT EXISTS audit_logs_actor_idx ON audit_logs (actor_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS audit_logs_target_idx ON audit_logs (target_type, target_id);
+      CREATE OR REPLACE FUNCTION audit_logs_append_only() RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_logs is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+      DROP TRIGGER IF EXISTS audit_logs_no_change ON audit_logs;
+      CREATE TRIGGER audit_logs_no_change BEFORE UPDATE OR DELETE ON audit_logs
+        FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only();
+      DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs;
+      CREATE TRIGGER audit_logs_no_truncate BEFORE TRUNCATE ON audit_logs
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_logs_append_only();
+    `;
+    
     // Execute all table creations
     await supabaseAdmin.rpc('exec_sql', { sql: usersTable });
     await supabaseAdmin.rpc('exec_sql', { sql: postsTable });
@@ -282,6 +970,445 @@ async function initializeDatabase() {
     await supabaseAdmin.rpc('exec_sql', { sql: shopsTable });
     await supabaseAdmin.rpc('exec_sql', { sql: cvsTable });
     await supabaseAdmin.rpc('exec_sql', { sql: notificationsTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: ledgerEntriesTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: reviewsTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: ordersTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: messagingTables });
+    await supabaseAdmin.rpc('exec_sql', { sql: jobApplicationsTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: contactRequestsTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: commentsTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: followsTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: savedTables });
+    await supabaseAdmin.rpc('exec_sql', { sql: otpCodesTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: sessionsTable });
+    await supabaseAdmin.rpc('exec_sql', { sql: auditLogsTable });
+    
+    // Bring tables created by earlier versions up to date
+    const schemaUpdates = [
+      `ALTER TABLE payments ADD COLUMN IF NOT EXISTS phone VARCHAR(20);`,
+      `ALTER TABLE payments ADD COLUMN IF NOT EXISTS checkout_request_id VARCHAR(100) UNIQUE;`,
+      `ALTER TABLE payments ADD COLUMN IF NOT EXISTS merchant_request_id VARCHAR(100);`,
+      `ALTER TABLE payments ADD COLUMN IF NOT EXISTS mpesa_receipt VARCHAR(50);`,
+      `ALTER TABLE payments ADD COLUMN IF NOT EXISTS result_desc TEXT;`,
+      `ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS conversation_id VARCHAR(100) UNIQUE;`,
+      `ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS originator_conversation_id VARCHAR(100);`,
+      `ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS mpesa_receipt VARCHAR(50);`,
+      `ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS result_desc TEXT;`,
+      `ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS processed_at TIMESTAMPTZ;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS earnings_held DECIMAL(10,2) DEFAULT 0;`,
+      `ALTER TABLE payments ADD COLUMN IF NOT EXISTS rejection_reason TEXT;`,
+      `ALTER TABLE referrals ADD COLUMN IF NOT EXISTS payment_id UUID REFERENCES payments(id) ON DELETE SET NULL;`,
+      `ALTER TABLE referrals DROP CONSTRAINT IF EXISTS referrals_status_check;
+       ALTER TABLE referrals ADD CONSTRAINT referrals_status_check CHECK (status IN ('pending', 'approved', 'paid', 'cancelled'));`,
+      `ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS rejection_reason TEXT;`,
+      `ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;`,
+      `ALTER TABLE withdrawals DROP CONSTRAINT IF EXISTS withdrawals_status_check;
+       ALTER TABLE withdrawals ADD CONSTRAINT withdrawals_status_check CHECK (status IN ('pending', 'approved', 'failed', 'processed', 'rejected', 'cancelled'));`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS upgrade_expires_at TIMESTAMPTZ;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_reminder_sent_at TIMESTAMPTZ;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS upgrade_reminder_sent_at TIMESTAMPTZ;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_phone VARCHAR(20);`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMPTZ;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_recovery_codes TEXT[];`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_failures INTEGER DEFAULT 0;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_locked_until TIMESTAMPTZ;`,
+      `ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMPTZ;`,
+      `ALTER TABLE sessions ADD COLUMN IF NOT EXISTS two_factor_verified_at TIMESTAMPTZ;`,
+      // The original all-access admin role becomes superadmin
+      `UPDATE users SET role = 'superadmin' WHERE role = 'admin';`,
+      // Premium upgrades granted before expiry existed run for one period from when they were granted
+      `UPDATE users SET upgrade_expires_at = upgraded_at + INTERVAL '${UPGRADE_DAYS} days'
+       WHERE upgraded = true AND upgrade_expires_at IS NULL AND upgraded_at IS NOT NULL AND role = 'user';`,
+      // Posts flagged boosted on creation were never paid for and never expire
+      `UPDATE posts SET boosted = false WHERE boosted = true AND boost_expires_at IS NULL;`,
+      `ALTER TABLE cvs ALTER COLUMN file_url DROP NOT NULL;`,
+      `ALTER TABLE cvs ADD COLUMN IF NOT EXISTS file_path TEXT;`,
+      `ALTER TABLE cvs ADD COLUMN IF NOT EXISTS file_name VARCHAR(255);`,
+      `ALTER TABLE cvs ADD COLUMN IF NOT EXISTS file_type VARCHAR(10);`,
+      `ALTER TABLE cvs ADD COLUMN IF NOT EXISTS file_size INTEGER;`,
+      `ALTER TABLE cvs ADD COLUMN IF NOT EXISTS extracted_text TEXT;`,
+      `ALTER TABLE cvs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();`,
+      `ALTER TABLE cvs ADD COLUMN IF NOT EXISTS visibility VARCHAR(20) DEFAULT 'private' CHECK (visibility IN ('public', 'employers', 'private'));`,
+      `CREATE INDEX IF NOT EXISTS posts_search_idx ON posts USING GIN ((${POSTS_SEARCH_VECTOR}));`,
+      `ALTER TABLE shops ADD COLUMN IF NOT EXISTS slug VARCHAR(80) UNIQUE;`,
+      // Shops created before storefronts get their name plus a short id suffix, which is always unique
+      `UPDATE shops SET slug = trim(both '-' from left(regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g'), 60)) || '-' || left(id::text, 6)
+       WHERE slug IS NULL;`,
+      `ALTER TABLE shops ADD COLUMN IF NOT EXISTS review_count INTEGER DEFAULT 0;`,
+      `ALTER TABLE posts ADD COLUMN IF NOT EXISTS rating DECIMAL(3,2) DEFAULT 0;`,
+      `ALTER TABLE posts ADD COLUMN IF NOT EXISTS review_count INTEGER DEFAULT 0;`,
+      `ALTER TABLE posts ADD COLUMN IF NOT EXISTS comment_count INTEGER DEFAULT 0;`,
+      // Posts and shops are only read through the service role, so the public
+      // anon key cannot query Supabase directly for sellers' WhatsApp numbers
+      `REVOKE ALL ON posts, shops FROM anon, authenticated;`,
+      // Carry balances earned before the ledger existed into it once
+      `INSERT INTO ledger_entries (transaction_id, user_id, account, entry_type, amount, description)
+       SELECT md5(u.id::text || ':opening_balance')::uuid, u.id, a.account, 'opening_balance', a.sign * u.earnings_balance,
+              'Balance carried over from before the ledger'
+       FROM users u
+       CROSS JOIN (VALUES ('commission_expense', -1), ('user_available', 1)) AS a(account, sign)
+       WHERE u.earnings_balance > 0
+         AND NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.user_id = u.id);`
+    ];
+    
+    for (const sql of schemaUpdates) {
+      await supabaseAdmin.rpc('exec_sql', { sql });
+    }
+    
+    // Posts a balanced ledger transaction and refreshes the user's cached
+    // balances in the same database transaction. Rows for one user are locked
+    // so concurrent postings cannot overdraw the wallet. Only the service role may call it.
+    const postLedgerTransactionFunction = `
+      CREATE OR REPLACE FUNCTION post_ledger_transaction(
+        p_user_id UUID,
+        p_postings JSONB,
+        p_reference_type TEXT DEFAULT NULL,
+        p_reference_id UUID DEFAULT NULL,
+        p_description TEXT DEFAULT NULL,
+        p_created_by UUID DEFAULT NULL
+      ) RETURNS UUID AS $$
+      DECLARE
+        v_transaction_id UUID := gen_random_uuid();
+        v_posting JSONB;
+        v_available NUMERIC;
+        v_held NUMERIC;
+      BEGIN
+        PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+        
+        FOR v_posting IN SELECT * FROM jsonb_array_elements(p_postings) LOOP
+          IF (v_posting->>'amount')::NUMERIC <= 0 THEN
+            RAISE EXCEPTION 'Ledger amounts must be positive';
+          END IF;
+          
+          INSERT INTO ledger_entries
+            (transaction_id, user_id, account, entry_type, amount, reference_type, reference_id, description, created_by)
+          VALUES
+            (v_transaction_id, p_user_id, v_posting->>'from', v_posting->>'entry_type', -(v_posting->>'amount')::NUMERIC,
+             p_reference_type, p_reference_id, p_description, p_created_by),
+            (v_transaction_id, p_user_id, v_posting->>'to', v_posting->>'entry_type', (v_posting->>'amount')::NUMERIC,
+             p_reference_type, p_reference_id, p_description, p_created_by);
+        END LOOP;
+        
+        SELECT
+          COALESCE(SUM(amount) FILTER (WHERE account = 'user_available'), 0),
+          COALESCE(SUM(amount) FILTER (WHERE account = 'user_held'), 0)
+        INTO v_available, v_held
+        FROM ledger_entries
+        WHERE user_id = p_user_id;
+        
+        IF v_available < 0 OR v_held < 0 THEN
+          RAISE EXCEPTION 'Insufficient balance';
+        END IF;
+        
+        UPDATE users SET
+          earnings_balance = v_available,
+          earnings_held = v_held,
+          earnings_total = (
+            SELECT COALESCE(SUM(amount), 0) FROM ledger_entries
+            WHERE user_id = p_user_id AND account = 'user_available' AND entry_type IN ('opening_balance', 'commission')
+          ),
+          earnings_withdrawn = (
+            SELECT COALESCE(-SUM(amount), 0) FROM ledger_entries
+            WHERE user_id = p_user_id AND account = 'user_held' AND entry_type IN ('payout', 'fee')
+          ),
+          updated_at = NOW()
+        WHERE id = p_user_id;
+        
+        RETURN v_transaction_id;
+      END;
+      $$ LANGUAGE plpgsql;
+      REVOKE ALL ON FUNCTION post_ledger_transaction(UUID, JSONB, TEXT, UUID, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+    `;
+    
+    await supabaseAdmin.rpc('exec_sql', { sql: postLedgerTransactionFunction });
+    
+    // Grants what a payment paid for and credits any referral commission. It
+    // runs as a trigger on the change from pending to approved, so the payment
+    // is never approved without being activated, whichever path approves it.
+    const activatePaymentFunction = `
+      CREATE OR REPLACE FUNCTION activate_approved_payment() RETURNS TRIGGER AS $$
+      DECLARE
+        v_referral referrals%ROWTYPE;
+      BEGIN
+        IF NEW.type = 'subscription' THEN
+          UPDATE users SET
+            subscription_active = true,
+            subscription_expires_at = CASE
+              WHEN subscription_active AND subscription_expires_at > NOW() THEN subscription_expires_at
+              ELSE NOW()
+            END + INTERVAL '${SUBSCRIPTION_DAYS} days',
+            subscription_reminder_sent_at = NULL,
+            updated_at = NOW()
+          WHERE id = NEW.user_id;
+          
+          -- Only a pending referral from the user's referrer earns its commission
+          FOR v_referral IN
+            UPDATE referrals r SET status = 'approved', updated_at = NOW()
+            FROM users referred
+            JOIN users referrer ON referrer.referral_code = referred.referral_from
+            WHERE referred.id = NEW.user_id
+              AND r.referrer_id = referrer.id
+              AND r.referred_user_id = NEW.user_id
+              AND r.type = 'subscription'
+              AND r.status = 'pending'
+            RETURNING r.*
+          LOOP
+            PERFORM post_ledger_transaction(
+              v_referral.referrer_id,
+              jsonb_build_array(jsonb_build_object(
+                'entry_type', 'commission', 'amount', v_referral.commission,
+                'from', 'commission_expense', 'to', 'user_available'
+              )),
+              'referral', v_referral.id, 'Subscription referral commission'
+            );
+          END LOOP;
+        ELSIF NEW.type = 'upgrade' THEN
+          UPDATE users SET
+            upgraded = true,
+            upgraded_at = NOW(),
+            upgrade_expires_at = CASE
+              WHEN upgraded AND upgrade_expires_at > NOW() THEN upgrade_expires_at
+              ELSE NOW()
+            END + INTERVAL '${UPGRADE_DAYS} days',
+            upgrade_reminder_sent_at = NULL,
+            updated_at = NOW()
+          WHERE id = NEW.user_id;
+          
+          FOR v_referral IN
+            UPDATE referrals SET status = 'approved', updated_at = NOW()
+            WHERE referred_user_id = NEW.user_id AND type = 'upgrade' AND status = 'pending'
+            RETURNING *
+          LOOP
+            PERFORM post_ledger_transaction(
+              v_referral.referrer_id,
+              jsonb_build_array(jsonb_build_object(
+                'entry_type', 'commission', 'amount', v_referral.commission,
+                'from', 'commission_expense', 'to', 'user_available'
+              )),
+              'referral', v_referral.id, 'Upgrade referral commission'
+            );
+          END LOOP;
+        ELSIF NEW.type = 'boost' AND NEW.post_id IS NOT NULL THEN
+          UPDATE posts SET
+            boosted = true,
+            boost_expires_at = CASE
+              WHEN boosted AND boost_expires_at > NOW() THEN boost_expires_at
+              ELSE NOW()
+            END + INTERVAL '${BOOST_DAYS} days',
+            updated_at = NOW()
+          WHERE id = NEW.post_id;
+        END IF;
+        
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+      DROP TRIGGER IF EXISTS payments_activate ON payments;
+      CREATE TRIGGER payments_activate AFTER UPDATE OF status ON payments
+        FOR EACH ROW WHEN (OLD.status = 'pending' AND NEW.status = 'approved')
+        EXECUTE FUNCTION activate_approved_payment();
+    `;
+    
+    await supabaseAdmin.rpc('exec_sql', { sql: activatePaymentFunction });
+    
+    // Ranked post search. Terms arrive as an array and are quoted into the
+    // tsquery here, so search input can never change the query syntax.
+    const searchPostsFunction = `
+      CREATE OR REPLACE FUNCTION search_posts(
+        p_terms TEXT[],
+        p_type TEXT DEFAULT NULL,
+        p_category TEXT DEFAULT NULL,
+        p_location TEXT DEFAULT NULL,
+        p_min_price NUMERIC DEFAULT NULL,
+        p_max_price NUMERIC DEFAULT NULL,
+        p_user_id UUID DEFAULT NULL,
+        p_boosted BOOLEAN DEFAULT NULL,
+        p_limit INTEGER DEFAULT 20,
+        p_offset INTEGER DEFAULT 0
+      ) RETURNS TABLE (post JSONB, rank REAL, snippet TEXT, total_count BIGINT) AS $$
+        WITH search AS (
+          SELECT to_tsquery('simple', string_agg(quote_literal(term) || ':*', ' & ')) AS query
+          FROM unnest(p_terms) AS term
+        ),
+        ranked AS (
+          SELECT p.*, ts_rank_cd(${POSTS_SEARCH_VECTOR}, search.query) AS search_rank, COUNT(*) OVER () AS search_total
+          FROM posts p, search
+          WHERE p.status = 'active'
+            AND (${POSTS_SEARCH_VECTOR}) @@ search.query
+            AND (p_type IS NULL OR p.type = p_type)
+            AND (p_category IS NULL OR p.category = p_category)
+            AND (p_location IS NULL OR p.location ILIKE '%' || p_location || '%')
+            AND (p_min_price IS NULL OR p.price >= p_min_price)
+            AND (p_max_price IS NULL OR p.price <= p_max_price)
+            AND (p_user_id IS NULL OR p.user_id = p_user_id)
+            AND (p_boosted IS NULL OR p.boosted = p_boosted)
+          ORDER BY p.boosted DESC, search_rank DESC, p.created_at DESC
+          LIMIT p_limit OFFSET p_offset
+        )
+        SELECT
+          to_jsonb(ranked) - 'search_rank' - 'search_total',
+          ranked.search_rank,
+          ts_headline(
+            'simple',
+            -- Escape HTML first so only the <mark> tags in the snippet are markup
+            replace(replace(replace(
+              concat_ws(' ... ', ranked.title, ranked.description, ranked.content),
+              '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+            search.query,
+            'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2'
+          ),
+          ranked.search_total
+        FROM ranked, search
+        ORDER BY ranked.boosted DESC, ranked.search_rank DESC, ranked.created_at DESC;
+      $$ LANGUAGE sql STABLE;
+      REVOKE ALL ON FUNCTION search_posts(TEXT[], TEXT, TEXT, TEXT, NUMERIC, NUMERIC, UUID, BOOLEAN, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+    `;
+    
+    await supabaseAdmin.rpc('exec_sql', { sql: searchPostsFunction });
+    
+    // Saved searches a new post could match on type and category, paged by id.
+    // Only the service role may call it.
+    const savedSearchesForPostFunction = `
+      CREATE OR REPLACE FUNCTION saved_searches_for_post(
+        p_type TEXT,
+        p_category TEXT,
+        p_user_id UUID,
+        p_after UUID DEFAULT NULL,
+        p_limit INTEGER DEFAULT 500
+      ) RETURNS SETOF saved_searches AS $$
+        SELECT s.*
+        FROM saved_searches s
+        WHERE s.alert_mode <> 'off'
+          AND s.user_id <> p_user_id
+          AND (s.filters->>'type' IS NULL OR s.filters->>'type' = p_type)
+          AND (s.filters->>'category' IS NULL OR s.filters->>'category' = p_category)
+          AND (p_after IS NULL OR s.id > p_after)
+        ORDER BY s.id
+        LIMIT p_limit;
+      $$ LANGUAGE sql STABLE;
+      REVOKE ALL ON FUNCTION saved_searches_for_post(TEXT, TEXT, UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+    `;
+    
+    await supabaseAdmin.rpc('exec_sql', { sql: savedSearchesForPostFunction });
+    
+    // Applies an admin change to one payments, withdrawals or users row and
+    // writes its audit entry in the same transaction, so neither happens
+    // without the other. Returns the updated row, or NULL when the row is
+    // missing or no longer matches p_expected. Only the service role may call it.
+    const applyAuditedUpdateFunction = `
+      CREATE OR REPLACE FUNCTION apply_audited_update(
+        p_table TEXT,
+        p_id UUID,
+        p_changes JSONB,
+        p_expected JSONB,
+        p_audit JSONB
+      ) RETURNS JSONB AS $$
+      DECLARE
+        v_before JSONB;
+        v_after JSONB;
+        v_columns TEXT;
+      BEGIN
+        IF p_table NOT IN ('payments', 'withdrawals', 'users') THEN
+          RAISE EXCEPTION 'apply_audited_update does not handle table %', p_table;
+        END IF;
+        
+        EXECUTE format('SELECT to_jsonb(t) FROM %I t WHERE id = $1 FOR UPDATE', p_table)
+          INTO v_before USING p_id;
+        
+        IF v_before IS NULL OR (p_expected IS NOT NULL AND NOT v_before @> p_expected) THEN
+          RETURN NULL;
+        END IF;
+        
+        SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+        FROM jsonb_object_keys(p_changes) AS key;
+        
+        EXECUTE format(
+          'UPDATE %I t SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id = $2 RETURNING to_jsonb(t)',
+          p_table, v_columns, v_columns, p_table
+        ) INTO v_after USING p_changes, p_id;
+        
+        INSERT INTO audit_logs (
+          actor_id, actor_email, actor_role, action, target_type, target_id,
+          changes, reason, metadata, ip_address, user_agent
+        )
+        SELECT
+          (p_audit->>'actor_id')::UUID, p_audit->>'actor_email', p_audit->>'actor_role',
+          p_audit->>'action', p_audit->>'target_type', p_id,
+          COALESCE((
+            SELECT jsonb_object_agg(key, jsonb_build_object('from', v_before->key, 'to', v_after->key))
+            FROM jsonb_object_keys(p_changes) AS key
+            WHERE key <> 'updated_at' AND v_before->key IS DISTINCT FROM v_after->key
+          ), '{}'),
+          p_audit->>'reason', NULLIF(p_audit->'metadata', 'null'::JSONB),
+          p_audit->>'ip_address', p_audit->>'user_agent';
+        
+        RETURN v_after;
+      END;
+      $$ LANGUAGE plpgsql;
+      REVOKE ALL ON FUNCTION apply_audited_update(TEXT, UUID, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+    `;
+    
+    await supabaseAdmin.rpc('exec_sql', { sql: applyAuditedUpdateFunction });
+    
+    // Moves a withdrawal out of p_from_status and posts its ledger entries in
+    // the same transaction, so the status and the balances never disagree.
+    // Admin changes pass p_audit and are written through apply_audited_update.
+    // Returns the updated row, or NULL when the withdrawal is missing or no
+    // longer in p_from_status. Only the service role may call it.
+    const settleWithdrawalFunction = `
+      CREATE OR REPLACE FUNCTION settle_withdrawal(
+        p_withdrawal_id UUID,
+        p_from_status TEXT,
+        p_changes JSONB,
+        p_postings JSONB DEFAULT '[]',
+        p_description TEXT DEFAULT NULL,
+        p_created_by UUID DEFAULT NULL,
+        p_audit JSONB DEFAULT NULL
+      ) RETURNS JSONB AS $$
+      DECLARE
+        v_after JSONB;
+        v_columns TEXT;
+      BEGIN
+        IF p_audit IS NOT NULL THEN
+          v_after := apply_audited_update('withdrawals', p_withdrawal_id, p_changes, jsonb_build_object('status', p_from_status), p_audit);
+        ELSE
+          SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+          FROM jsonb_object_keys(p_changes) AS key;
+          
+          EXECUTE format(
+            'UPDATE withdrawals t SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::withdrawals, $1)) WHERE id = $2 AND status = $3 RETURNING to_jsonb(t)',
+            v_columns, v_columns
+          ) INTO v_after USING p_changes, p_withdrawal_id, p_from_status;
+        END IF;
+        
+        IF v_after IS NULL THEN
+          RETURN NULL;
+        END IF;
+        
+        IF jsonb_array_length(p_postings) > 0 THEN
+          PERFORM post_ledger_transaction(
+            (v_after->>'user_id')::UUID, p_postings, 'withdrawal', p_withdrawal_id, p_description, p_created_by
+          );
+        END IF;
+        
+        RETURN v_after;
+      END;
+      $$ LANGUAGE plpgsql;
+      REVOKE ALL ON FUNCTION settle_withdrawal(UUID, TEXT, JSONB, JSONB, TEXT, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+    `;
+    
+    await supabaseAdmin.rpc('exec_sql', { sql: settleWithdrawalFunction });
+    
+    // Create storage buckets; an existing bucket is left as it is
+    for (const [bucket, options] of [[IMAGES_BUCKET, { public: true }], [CV_BUCKET, { public: false }]]) {
+      const { error: bucketError } = await supabaseAdmin.storage.createBucket(bucket, options);
+      if (bucketError && !/already exists/i.test(bucketError.message)) {
+        console.error('⚠️ Storage bucket error:', bucketError.message);
+      }
+    }
     
     console.log('✅ Database initialization completed!');
     
@@ -296,7 +1423,7 @@ async function initializeDatabase() {
 async function createAdminUser() {
   try {
     const adminEmail = process.env.ADMIN_EMAIL || 'admin@sokoplus.com';
-    const adminPassword = process.env.ADMIN_PASSWORD || 'Admin@SokoPlus2024';
+    const adminPassword = process.env.ADMIN_PASSWORD;
     
     const { data: existingAdmin } = await supabaseAdmin
       .from('users')
@@ -304,7 +1431,9 @@ async function createAdminUser() {
       .eq('email', adminEmail)
       .single();
     
-    if (!existingAdmin) {
+    if (!existingAdmin && !adminPassword) {
+      console.log('⚠️ ADMIN_PASSWORD is not set, so no admin user was created');
+    } else if (!existingAdmin) {
       const salt = await bcrypt.genSalt(10);
       const passwordHash = await bcrypt.hash(adminPassword, salt);
       
@@ -317,7 +1446,7 @@ async function createAdminUser() {
         referral_code: generateReferralCode('ADMIN'),
         subscription_active: true,
         upgraded: true,
-        role: 'admin',
+        role: 'superadmin',
         verified: true,
         created_at: new Date().toISOString()
       };
@@ -326,9 +1455,8 @@ async function createAdminUser() {
         .from('users')
         .insert([adminUser]);
       
-      console.log('👑 Admin user created successfully!');
-      console.log('📧 Email:', adminEmail);
-      console.log('🔑 Password:', adminPassword);
+      console.log('👑 Admin user created:', adminEmail);
+      console.log('🔐 Log in and set up two-factor authentication before using admin features');
     }
   } catch (error) {
     console.log('⚠️ Admin user already exists or error:', error.message);
@@ -349,1904 +1477,8172 @@ function formatPrice(price) {
   return 'KES ' + parseFloat(price || 0).toLocaleString('en-KE');
 }
 
-// ============================================
-// AUTHENTICATION ENDPOINTS
-// ============================================
+// Words too common in English and Swahili listings to narrow a search
+const SEARCH_STOP_WORDS = new Set([
+  // English
+  'a', 'about', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do',
+  'for', 'from', 'get', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is',
+  'it', 'its', 'me', 'my', 'near', 'new', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your',
+  // Swahili
+  'ama', 'ambao', 'ambaye', 'ambayo', 'ambazo', 'ambacho', 'au', 'baada', 'bado', 'bila', 'cha',
+  'chake', 'hadi', 'hapa', 'hata', 'hii', 'hilo', 'hiyo', 'hizi', 'huko', 'huo', 'ile', 'ili',
+  'juu', 'kabla', 'katika', 'kama', 'kila', 'kutoka', 'kuwa', 'kwa', 'kwamba', 'kwenye', 'la',
+  'lake', 'lakini', 'mimi', 'mpaka', 'na', 'ndani', 'ndiyo', 'ni', 'nini', 'pia', 'sana', 'sasa',
+  'si', 'sisi', 'tena', 'tu', 'vya', 'wa', 'wake', 'wao', 'wewe', 'ya', 'yake', 'yao', 'yeye', 'za',
+  'zake', 'zaidi'
+]);
 
-// Register User
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { name, email, phone, password, referralCode } = req.body;
+// Breaks search input into plain words. Punctuation never reaches the database,
+// and stop words are dropped unless the search is made of nothing else.
+function searchTerms(search) {
+  const words = String(search)
+    .toLowerCase()
+    .normalize('NFKC')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  const meaningful = words.filter(word => !SEARCH_STOP_WORDS.has(word));
+  
+  return [...new Set(meaningful.length ? meaningful : words)].slice(0, 10);
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Words used by /api/shops/* routes, which a slug must not shadow
+const RESERVED_SHOP_SLUGS = ['me', 'products', 'services'];
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60)
+    .replace(/-+$/, '');
+}
+
+async function uniqueShopSlug(name) {
+  const base = slugify(name) || 'shop';
+  
+  const { data: taken } = await supabaseAdmin
+    .from('shops')
+    .select('slug')
+    .like('slug', `${base}%`);
+  
+  const takenSlugs = new Set([...(taken || []).map(shop => shop.slug), ...RESERVED_SHOP_SLUGS]);
+  
+  let slug = base;
+  for (let suffix = 2; takenSlugs.has(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+}
+
+// WhatsApp numbers are only handed out by GET /api/:targetType(posts|shops)/:targetId/contact
+function withoutContact(record) {
+  const { whatsapp, ...rest } = record;
+  return rest;
+}
+
+// Storefront routes accept either the shop's id or its slug
+async function findShop(idOrSlug) {
+  const { data: shop } = await supabaseAdmin
+    .from('shops')
+    .select(`
+      *,
+      owner:users(id, name, profile_picture, verified, business_name)
+    `)
+    .eq(UUID_PATTERN.test(idOrSlug) ? 'id' : 'slug', idOrSlug.toLowerCase())
+    .single();
+  
+  return shop ? withoutContact(shop) : null;
+}
+
+// Reviews can target /api/shops/:idOrSlug or /api/posts/:id
+async function findReviewTarget(targetType, targetId) {
+  if (targetType === 'shops') {
+    const shop = await findShop(targetId);
+    if (!shop) return null;
     
-    if (!name || !email || !phone || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'All fields are required' 
+    return { shopId: shop.id, postId: null, ownerId: shop.user_id, name: shop.name, rating: shop.rating, reviewCount: shop.review_count };
+  }
+  
+  const { data: post } = await supabaseAdmin
+    .from('posts')
+    .select('id, user_id, type, title, status, rating, review_count')
+    .eq('id', targetId)
+    .single();
+  
+  if (!post || post.status !== 'active') return null;
+  
+  return { shopId: null, postId: post.id, ownerId: post.user_id, name: post.title, postType: post.type, rating: post.rating, reviewCount: post.review_count };
+}
+
+// Recalculates the average rating and review count of a review's shop or post
+async function refreshReviewStats({ shop_id, post_id }) {
+  const column = shop_id ? 'shop_id' : 'post_id';
+  const targetId = shop_id || post_id;
+  
+  const { data: reviews, error } = await supabaseAdmin
+    .from('reviews')
+    .select('rating')
+    .eq(column, targetId)
+    .eq('status', 'active');
+  
+  if (error) throw error;
+  
+  const total = (reviews || []).reduce((sum, review) => sum + review.rating, 0);
+  const reviewCount = reviews?.length || 0;
+  
+  await supabaseAdmin
+    .from(shop_id ? 'shops' : 'posts')
+    .update({
+      rating: reviewCount ? Math.round((total / reviewCount) * 100) / 100 : 0,
+      review_count: reviewCount
+    })
+    .eq('id', targetId);
+}
+
+// Counts the shop's delivered orders into shops.total_sales
+async function refreshShopSales(shopId) {
+  const { count, error } = await supabaseAdmin
+    .from('orders')
+    .select('*', { count: 'exact', head: true })
+    .eq('shop_id', shopId)
+    .eq('status', 'delivered');
+  
+  if (error) throw error;
+  
+  await supabaseAdmin
+    .from('shops')
+    .update({ total_sales: count || 0 })
+    .eq('id', shopId);
+}
+
+// Returns the conversation when the user takes part in it
+async function findConversation(conversationId, userId) {
+  const { data: conversation } = await supabaseAdmin
+    .from('conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .single();
+  
+  if (!conversation || (conversation.buyer_id !== userId && conversation.seller_id !== userId)) {
+    return null;
+  }
+  
+  return conversation;
+}
+
+// Public CVs are listed for every premium user; employers-only CVs just for
+// premium users who have posted a job
+async function talentVisibilityFor(user) {
+  const { count } = await supabaseAdmin
+    .from('posts')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', user.id)
+    .eq('type', 'job');
+  
+  return count > 0 ? ['public', 'employers'] : ['public'];
+}
+
+async function refreshCommentCount(postId) {
+  const { count, error } = await supabaseAdmin
+    .from('comments')
+    .select('*', { count: 'exact', head: true })
+    .eq('post_id', postId);
+  
+  if (error) throw error;
+  
+  await supabaseAdmin
+    .from('posts')
+    .update({ comment_count: count || 0 })
+    .eq('id', postId);
+}
+
+// Follow routes accept /api/users/:id or /api/shops/:idOrSlug
+async function findFollowTarget(targetType, targetId) {
+  if (targetType === 'shops') {
+    const shop = await findShop(targetId);
+    return shop && { column: 'shop_id', id: shop.id, ownerId: shop.user_id, name: shop.name };
+  }
+  
+  const { data: user } = await supabaseAdmin
+    .from('users')
+    .select('id, name, status')
+    .eq('id', targetId)
+    .single();
+  
+  return user?.status === 'active' ? { column: 'user_id', id: user.id, ownerId: user.id, name: user.name } : null;
+}
+
+// Tells everyone following the author's shop about a new product or service
+async function notifyShopFollowers(post) {
+  const { data: shop } = await supabaseAdmin
+    .from('shops')
+    .select('id, slug, name')
+    .eq('user_id', post.user_id)
+    .maybeSingle();
+  
+  if (!shop) return;
+  
+  const { data: followers } = await supabaseAdmin
+    .from('follows')
+    .select('follower_id')
+    .eq('shop_id', shop.id);
+  
+  if (!followers?.length) return;
+  
+  const { error } = await supabaseAdmin
+    .from('notifications')
+    .insert(followers.map(({ follower_id }) => ({
+      id: uuidv4(),
+      user_id: follower_id,
+      title: `New at ${shop.name}`,
+      message: `${post.title}${post.price ? ` - ${formatPrice(post.price)}` : ''}`,
+      type: 'listing',
+      data: { postId: post.id, shopId: shop.id, shopSlug: shop.slug },
+      created_at: new Date().toISOString()
+    })));
+  
+  if (error) console.error('Shop follower notification error:', error.message);
+}
+
+// Keeps the GET /api/posts filters a saved search understands and drops the rest
+function normalizeSearchFilters(input = {}) {
+  const filters = {};
+  
+  SAVED_SEARCH_FILTERS.forEach(key => {
+    const value = input[key];
+    if (value === undefined || value === null || value === '') return;
+    
+    filters[key] = ['minPrice', 'maxPrice'].includes(key) ? parseFloat(value) : String(value).trim();
+  });
+  
+  return filters;
+}
+
+// Checks a new post against saved filters the way GET /api/posts would,
+// with every search word matching the start of a word in the post
+function postMatchesFilters(post, filters) {
+  if (filters.type && post.type !== filters.type) return false;
+  if (filters.category && post.category !== filters.category) return false;
+  if (filters.location && !(post.location || '').toLowerCase().includes(filters.location.toLowerCase())) return false;
+  if (filters.minPrice !== undefined && !(post.price >= filters.minPrice)) return false;
+  if (filters.maxPrice !== undefined && !(post.price <= filters.maxPrice)) return false;
+  
+  if (filters.search) {
+    const postWords = [post.title, post.company, post.category, post.description, post.content]
+      .join(' ')
+      .toLowerCase()
+      .normalize('NFKC')
+      .split(/[^\p{L}\p{N}]+/u);
+    const matchesAll = searchTerms(filters.search).every(term => postWords.some(word => word.startsWith(term)));
+    if (!matchesAll) return false;
+  }
+  
+  return true;
+}
+
+// Runs a new post through every saved search that could match it. Type and
+// category are matched in the database a page at a time and the remaining
+// filters are checked here. Matches already recorded are skipped, so a post
+// can safely be processed again. Returns the number of new matches.
+async function alertSavedSearches(post) {
+  let after = null;
+  let matched = 0;
+  
+  while (true) {
+    const { data: searches, error } = await supabaseAdmin.rpc('saved_searches_for_post', {
+      p_type: post.type,
+      p_category: post.category || null,
+      p_user_id: post.user_id,
+      p_after: after,
+      p_limit: SAVED_SEARCH_PAGE_SIZE
+    });
+    
+    if (error) throw error;
+    if (!searches?.length) break;
+    
+    after = searches[searches.length - 1].id;
+    
+    const matches = searches.filter(search => postMatchesFilters(post, search.filters || {}));
+    
+    if (matches.length) {
+      const now = new Date().toISOString();
+      
+      const { data: inserted, error: insertError } = await supabaseAdmin
+        .from('saved_search_matches')
+        .upsert(matches.map(search => ({
+          id: uuidv4(),
+          saved_search_id: search.id,
+          post_id: post.id,
+          notified_at: search.alert_mode === 'instant' ? now : null,
+          created_at: now
+        })), { onConflict: 'saved_search_id,post_id', ignoreDuplicates: true })
+        .select('saved_search_id');
+      
+      if (insertError) throw insertError;
+      
+      const newMatches = new Set((inserted || []).map(match => match.saved_search_id));
+      matched += newMatches.size;
+      
+      for (const search of matches.filter(search => search.alert_mode === 'instant' && newMatches.has(search.id))) {
+        await createNotification(search.user_id, {
+          title: `New match for "${search.name}"`,
+          message: `${post.title}${post.price ? ` - ${formatPrice(post.price)}` : ''}`,
+          type: 'saved_search',
+          data: { savedSearchId: search.id, postId: post.id }
+        });
+      }
+    }
+    
+    if (searches.length < SAVED_SEARCH_PAGE_SIZE) break;
+  }
+  
+  return matched;
+}
+
+// Strips credentials before a user row is sent to a client
+function withoutSecrets(user) {
+  const { password_hash, two_factor_secret, two_factor_pending_secret, two_factor_recovery_codes, ...safeUser } = user;
+  return safeUser;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issueAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role || 'user', sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+// Refresh tokens look like <session id>.<secret> so a session is found without scanning hashes
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Starts a session for a new sign-in and returns its tokens
+async function createSession(user, req, { twoFactorVerified = false } = {}) {
+  const sessionId = uuidv4();
+  const refreshToken = newRefreshToken(sessionId);
+  
+  const { error } = await supabaseAdmin
+    .from('sessions')
+    .insert([{
+      id: sessionId,
+      user_id: user.id,
+      refresh_token_hash: hashToken(refreshToken),
+      user_agent: req.headers['user-agent'] || null,
+      ip_address: req.ip || null,
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      two_factor_verified_at: twoFactorVerified ? new Date().toISOString() : null,
+      created_at: new Date().toISOString()
+    }]);
+  
+  if (error) throw error;
+  
+  return {
+    token: issueAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+}
+
+// Signs the user out everywhere, or everywhere but the current device
+async function revokeUserSessions(userId, { reason = 'revoked', exceptSessionId = null } = {}) {
+  let query = supabaseAdmin
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+  
+  if (exceptSessionId) query = query.neq('id', exceptSessionId);
+  
+  const { error } = await query;
+  if (error) throw error;
+}
+
+function auditActor(req) {
+  return {
+    actor_id: req.user.id,
+    actor_email: req.user.email,
+    actor_role: req.user.role,
+    ip_address: req.ip || null,
+    user_agent: req.headers['user-agent'] || null
+  };
+}
+
+// Appends a privileged action to the audit log. Only the fields of `after`
+// whose value differs from `before` are stored, as { from, to } pairs.
+// Throws when the entry cannot be written, so the request reports a failure.
+async function recordAudit(req, { action, targetType, targetId, before = {}, after = {}, reason, metadata }) {
+  const changes = {};
+  
+  for (const [field, value] of Object.entries(after)) {
+    if (field === 'updated_at') continue;
+    
+    const from = before[field] ?? null;
+    const to = value ?? null;
+    
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  
+  const { error } = await supabaseAdmin
+    .from('audit_logs')
+    .insert([{
+      ...auditActor(req),
+      action,
+      target_type: targetType,
+      target_id: targetId || null,
+      changes,
+      reason: reason || null,
+      metadata: metadata || null
+    }]);
+  
+  if (error) throw error;
+}
+
+// Updates a payment, withdrawal or user and records the audit entry in one
+// transaction, for changes to money and account state. `expected` guards the
+// current values, e.g. { status: 'pending' }. Returns the updated row, or null
+// when the row is missing or no longer matches.
+async function auditedUpdate(req, { table, id, changes, expected, action, targetType, reason, metadata }) {
+  const { data, error } = await supabaseAdmin.rpc('apply_audited_update', {
+    p_table: table,
+    p_id: id,
+    p_changes: changes,
+    p_expected: expected || null,
+    p_audit: auditEntry(req, { action, targetType, reason, metadata })
+  });
+  
+  if (error) throw error;
+  return data;
+}
+
+// The audit row apply_audited_update writes for req's user
+function auditEntry(req, { action, targetType, reason, metadata }) {
+  return {
+    ...auditActor(req),
+    action,
+    target_type: targetType,
+    reason: reason || null,
+    metadata: metadata || null
+  };
+}
+
+async function createNotification(userId, { title, message, type = 'info', data = null }) {
+  const { error } = await supabaseAdmin
+    .from('notifications')
+    .insert([{
+      id: uuidv4(),
+      user_id: userId,
+      title,
+      message,
+      type,
+      data,
+      created_at: new Date().toISOString()
+    }]);
+  
+  if (error) console.error('Notification error:', error.message);
+}
+
+// Records a balanced money movement for a user, e.g.
+// postLedgerTransaction(userId, [{ entryType: 'commission', amount: 25, from: 'commission_expense', to: 'user_available' }])
+// Throws a 400 error when the movement would overdraw the user's wallet.
+async function postLedgerTransaction(userId, postings, { referenceType = null, referenceId = null, description = null, createdBy = null } = {}) {
+  const { data: transactionId, error } = await supabaseAdmin.rpc('post_ledger_transaction', {
+    p_user_id: userId,
+    p_postings: ledgerPostings(postings),
+    p_reference_type: referenceType,
+    p_reference_id: referenceId,
+    p_description: description,
+    p_created_by: createdBy
+  });
+  
+  if (error) throw ledgerError(error);
+  return transactionId;
+}
+
+function ledgerPostings(postings) {
+  return postings.map(({ entryType, amount, from, to }) => ({
+    entry_type: entryType,
+    amount: parseFloat(parseFloat(amount).toFixed(2)),
+    from,
+    to
+  }));
+}
+
+function ledgerError(error) {
+  const wrapped = new Error(error.message);
+  wrapped.status = error.message.includes('Insufficient balance') ? 400 : 500;
+  return wrapped;
+}
+
+// ============================================
+// IMAGE STORAGE
+// ============================================
+
+// Re-encodes an uploaded image and stores it with a square thumbnail.
+// Decoding with sharp checks the real file type rather than the client's
+// MIME type, and re-encoding drops EXIF data such as GPS location.
+async function storeImage(file, folder, ownerId) {
+  if (!file.mimetype.startsWith('image/')) {
+    const typeError = new Error(`${file.originalname} is not an image`);
+    typeError.status = 400;
+    throw typeError;
+  }
+  
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    metadata = null;
+  }
+  
+  if (!metadata || !ALLOWED_IMAGE_FORMATS.includes(metadata.format)) {
+    const typeError = new Error(`${file.originalname} must be a JPEG, PNG, WebP, GIF or HEIC image`);
+    typeError.status = 400;
+    throw typeError;
+  }
+  
+  // rotate() applies the EXIF orientation before the metadata is discarded
+  const [image, thumbnail] = await Promise.all([
+    sharp(file.buffer)
+      .rotate()
+      .resize({ width: IMAGE_MAX_DIMENSION, height: IMAGE_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer(),
+    sharp(file.buffer)
+      .rotate()
+      .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'cover' })
+      .webp({ quality: 75 })
+      .toBuffer()
+  ]);
+  
+  const objectPath = `${folder}/${ownerId}/${uuidv4()}.webp`;
+  const thumbnailPath = thumbnailPathFor(objectPath);
+  
+  for (const [uploadPath, buffer] of [[objectPath, image], [thumbnailPath, thumbnail]]) {
+    const { error } = await supabaseAdmin.storage
+      .from(IMAGES_BUCKET)
+      .upload(uploadPath, buffer, { contentType: 'image/webp', cacheControl: '31536000' });
+    
+    if (error) throw error;
+  }
+  
+  return {
+    url: supabaseAdmin.storage.from(IMAGES_BUCKET).getPublicUrl(objectPath).data.publicUrl,
+    thumbnailUrl: supabaseAdmin.storage.from(IMAGES_BUCKET).getPublicUrl(thumbnailPath).data.publicUrl
+  };
+}
+
+function thumbnailPathFor(objectPath) {
+  return objectPath.replace(/\.webp$/, '_thumb.webp');
+}
+
+// Maps public URLs back to objects in the images bucket that ownerId
+// uploaded to folder; anything else, including other users' uploads and
+// URLs with malformed escapes, is ignored
+function storedImagePaths(urls, folder, ownerId) {
+  const marker = `/storage/v1/object/public/${IMAGES_BUCKET}/`;
+  const prefix = `${folder}/${ownerId}/`;
+  
+  return (urls || [])
+    .filter(url => typeof url === 'string' && url.includes(marker))
+    .map(url => {
+      try {
+        return decodeURIComponent(url.split(marker)[1].split('?')[0]);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(objectPath => objectPath && objectPath.startsWith(prefix) && !objectPath.includes('..'))
+    .flatMap(objectPath => [objectPath, thumbnailPathFor(objectPath)]);
+}
+
+// Image URLs written to a record must be ownerId's own uploads, apart from
+// values the record already had. Returns the first URL that is neither.
+function findForeignImage(urls, folder, ownerId, existing = []) {
+  return (urls || []).find(url => 
+    url && !existing.includes(url) && storedImagePaths([url], folder, ownerId).length === 0
+  );
+}
+
+async function removeStoredImages(urls, folder, ownerId) {
+  const paths = storedImagePaths(urls, folder, ownerId);
+  if (paths.length === 0) return;
+  
+  const { error } = await supabaseAdmin.storage
+    .from(IMAGES_BUCKET)
+    .remove(paths);
+  
+  if (error) console.error('Remove images error:', error.message);
+}
+
+// ============================================
+// CV DOCUMENTS
+// ============================================
+
+const CV_SECTION_HEADINGS = [
+  'summary', 'professional summary', 'profile', 'personal profile', 'professional profile',
+  'objective', 'career objective', 'about me', 'skills', 'key skills', 'technical skills',
+  'core skills', 'core competencies', 'experience', 'work experience', 'employment history',
+  'education', 'qualifications', 'certifications', 'projects', 'languages', 'referees',
+  'references', 'hobbies', 'interests', 'achievements', 'contact', 'personal details'
+];
+const CV_SUMMARY_HEADINGS = ['summary', 'professional summary', 'profile', 'personal profile', 'professional profile', 'objective', 'career objective', 'about me'];
+const CV_SKILLS_HEADINGS = ['skills', 'key skills', 'technical skills', 'core skills', 'core competencies'];
+
+// Trusts the file's leading bytes as well as its MIME type: a PDF starts with
+// %PDF- and a DOCX is a ZIP archive (PK\x03\x04)
+function detectCvFileType(file) {
+  const type = CV_FILE_TYPES[file.mimetype];
+  const header = file.buffer.subarray(0, 5);
+  
+  if (type === 'pdf' && header.toString('latin1') === '%PDF-') return 'pdf';
+  if (type === 'docx' && header[0] === 0x50 && header[1] === 0x4b && header[2] === 0x03 && header[3] === 0x04) return 'docx';
+  return null;
+}
+
+async function extractCvText(buffer, fileType) {
+  try {
+    const text = fileType === 'pdf'
+      ? (await pdfParse(buffer)).text
+      : (await mammoth.extractRawText({ buffer })).value;
+    
+    return text.replace(/\r/g, '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  } catch (error) {
+    console.error('CV text extraction error:', error.message);
+    return '';
+  }
+}
+
+// Splits extracted CV text on its headings to suggest a summary and skills
+function parseCvText(text) {
+  const sections = {};
+  let current = null;
+  
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    const heading = line.toLowerCase().replace(/[:\s]+$/, '');
+    
+    if (CV_SECTION_HEADINGS.includes(heading)) {
+      current = heading;
+      sections[current] = sections[current] || [];
+    } else if (current && line) {
+      sections[current].push(line);
+    }
+  }
+  
+  const summaryHeading = CV_SUMMARY_HEADINGS.find(heading => sections[heading]?.length);
+  const summarySource = summaryHeading
+    ? sections[summaryHeading].join(' ')
+    : text.split(/\n\s*\n/).find(paragraph => paragraph.trim().length > 80) || '';
+  
+  const skillsHeading = CV_SKILLS_HEADINGS.find(heading => sections[heading]?.length);
+  const skills = skillsHeading
+    ? sections[skillsHeading]
+        .join('\n')
+        .split(/[\n,;|•·●▪]/)
+        .map(skill => skill.replace(/^[-*\s]+/, '').trim())
+        .filter(skill => skill.length > 1 && skill.length <= 50)
+    : [];
+  
+  return {
+    summary: summarySource.replace(/\s+/g, ' ').trim().substring(0, 1000),
+    skills: [...new Set(skills)].slice(0, 30)
+  };
+}
+
+async function cvDownloadUrl(cv) {
+  if (!cv.file_path) return cv.file_url;
+  
+  const { data, error } = await supabaseAdmin.storage
+    .from(CV_BUCKET)
+    .createSignedUrl(cv.file_path, CV_DOWNLOAD_TTL_SECONDS, { download: cv.file_name || true });
+  
+  if (error) throw error;
+  return data.signedUrl;
+}
+
+// ============================================
+// SMS, EMAIL & OTP DELIVERY
+// ============================================
+
+async function logMessage(message) {
+  console.log(`📨 ${message.channel.toUpperCase()} to ${message.to}${message.subject ? ` [${message.subject}]` : ''}: ${message.text}`);
+}
+
+async function appendToOutbox(message) {
+  await fs.promises.appendFile(OUTBOX_FILE, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+}
+
+const SMS_SENDERS = {
+  console: logMessage,
+  file: appendToOutbox,
+  async africastalking({ to, text }) {
+    const response = await fetch(`${AFRICASTALKING_BASE_URL}/version1/messaging`, {
+      method: 'POST',
+      headers: {
+        apiKey: AFRICASTALKING_API_KEY,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      },
+      body: new URLSearchParams({
+        username: AFRICASTALKING_USERNAME,
+        to: `+${to}`,
+        message: text,
+        ...(AFRICASTALKING_SENDER_ID ? { from: AFRICASTALKING_SENDER_ID } : {})
+      })
+    });
+    
+    const data = await response.json().catch(() => ({}));
+    const recipient = data.SMSMessageData?.Recipients?.[0];
+    
+    if (!response.ok || recipient?.status !== 'Success') {
+      throw new Error(`SMS failed: ${recipient?.status || data.SMSMessageData?.Message || response.statusText}`);
+    }
+  }
+};
+
+const EMAIL_SENDERS = {
+  console: logMessage,
+  file: appendToOutbox,
+  async resend({ to, subject, text }) {
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${RESEND_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ from: EMAIL_FROM, to, subject, text })
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(`Email failed: ${data.message || response.statusText}`);
+    }
+  }
+};
+
+// Returns the sender for a provider, or throws a 503 error when it is unknown
+// or is a development stand-in running in production
+function messageSender(senders, setting, provider) {
+  if (!senders[provider] || (IS_PRODUCTION && DEV_MESSAGE_PROVIDERS.includes(provider))) {
+    const configError = new Error(`${setting} is not configured for delivery`);
+    configError.status = 503;
+    throw configError;
+  }
+  
+  return senders[provider];
+}
+
+// Sends through the provider chosen by SMS_PROVIDER, e.g. sendSms('254712345678', 'Hello')
+async function sendSms(to, text) {
+  const sender = messageSender(SMS_SENDERS, 'SMS_PROVIDER', SMS_PROVIDER);
+  await sender({ channel: 'sms', to, text });
+}
+
+async function sendEmail(to, subject, text) {
+  const sender = messageSender(EMAIL_SENDERS, 'EMAIL_PROVIDER', EMAIL_PROVIDER);
+  await sender({ channel: 'email', to, subject, text });
+}
+
+const OTP_MESSAGES = {
+  password_reset: {
+    subject: 'Reset your SokoPlus password',
+    text: code => `Your SokoPlus password reset code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. If you did not ask to reset your password, ignore this message.`
+  },
+  phone_verification: {
+    subject: 'Verify your SokoPlus phone number',
+    text: code => `Your SokoPlus verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`
+  }
+};
+
+// Sends a one-time code and replaces any earlier code for the same purpose.
+// Throws a 503 error when the channel has no usable provider, and a 429 error when a code was sent less than OTP_RESEND_SECONDS ago
+// or OTP_MAX_PER_HOUR codes have been sent in the last hour.
+async function issueOtp(userId, { purpose, channel, destination }) {
+  if (channel === 'sms') {
+    messageSender(SMS_SENDERS, 'SMS_PROVIDER', SMS_PROVIDER);
+  } else {
+    messageSender(EMAIL_SENDERS, 'EMAIL_PROVIDER', EMAIL_PROVIDER);
+  }
+  
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  
+  const { data: recent } = await supabaseAdmin
+    .from('otp_codes')
+    .select('created_at')
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .gt('created_at', hourAgo)
+    .order('created_at', { ascending: false });
+  
+  const waitSeconds = recent?.length
+    ? Math.ceil((new Date(recent[0].created_at).getTime() + OTP_RESEND_SECONDS * 1000 - Date.now()) / 1000)
+    : 0;
+  
+  if (waitSeconds > 0 || recent?.length >= OTP_MAX_PER_HOUR) {
+    const throttleError = new Error(waitSeconds > 0
+      ? `Please wait ${waitSeconds} seconds before requesting another code`
+      : 'Too many codes requested. Try again in an hour');
+    throttleError.status = 429;
+    throw throttleError;
+  }
+  
+  await supabaseAdmin
+    .from('otp_codes')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('consumed_at', null);
+  
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  
+  const { error } = await supabaseAdmin
+    .from('otp_codes')
+    .insert([{
+      id: uuidv4(),
+      user_id: userId,
+      purpose,
+      channel,
+      destination,
+      code_hash: await bcrypt.hash(code, 10),
+      expires_at: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000).toISOString(),
+      created_at: new Date().toISOString()
+    }]);
+  
+  if (error) throw error;
+  
+  const message = OTP_MESSAGES[purpose];
+  if (channel === 'sms') {
+    await sendSms(destination, message.text(code));
+  } else {
+    await sendEmail(destination, message.subject, message.text(code));
+  }
+}
+
+// Checks a code against the user's newest code for the purpose and consumes it.
+// Returns { valid, otp } or { valid: false, message }.
+async function verifyOtp(userId, purpose, code) {
+  const { data: otp } = await supabaseAdmin
+    .from('otp_codes')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('consumed_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (!otp || new Date(otp.expires_at) <= new Date()) {
+    return { valid: false, message: 'Code is invalid or has expired. Request a new one' };
+  }
+  
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return { valid: false, message: 'Too many incorrect attempts. Request a new code' };
+  }
+  
+  // Count the attempt before checking it, so parallel guesses cannot exceed the limit
+  const { data: claimed } = await supabaseAdmin
+    .from('otp_codes')
+    .update({ attempts: otp.attempts + 1 })
+    .eq('id', otp.id)
+    .eq('attempts', otp.attempts)
+    .select('id');
+  
+  if (!claimed?.length) {
+    return { valid: false, message: 'Code is invalid or has expired. Request a new one' };
+  }
+  
+  if (!(await bcrypt.compare(String(code), otp.code_hash))) {
+    return { valid: false, message: 'Incorrect code' };
+  }
+  
+  const { data: consumed } = await supabaseAdmin
+    .from('otp_codes')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('id', otp.id)
+    .is('consumed_at', null)
+    .select('id');
+  
+  if (!consumed?.length) {
+    return { valid: false, message: 'Code is invalid or has expired. Request a new one' };
+  }
+  
+  return { valid: true, otp };
+}
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+function twoFactorKey() {
+  return crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', twoFactorKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', twoFactorKey(), iv);
+  decipher.setAuthTag(tag);
+  
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Returns the codes to show the user once, and the hashes to store
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+}
+
+// Accepts each 30-second code once: the time step it belongs to is recorded
+// and codes from that step or earlier are refused afterwards
+async function verifyTotp(userId, secret, code) {
+  const token = String(code || '').replace(/\s/g, '');
+  const delta = /^\d{6}$/.test(token) ? authenticator.checkDelta(token, secret) : null;
+  
+  if (delta === null) return false;
+  
+  const step = Math.floor(Date.now() / 30000) + delta;
+  
+  const { data: updated } = await supabaseAdmin
+    .from('users')
+    .update({ two_factor_last_step: step })
+    .eq('id', userId)
+    .or(`two_factor_last_step.is.null,two_factor_last_step.lt.${step}`)
+    .select('id');
+  
+  return Boolean(updated?.length);
+}
+
+// Checks an authenticator code or a single-use recovery code for a user with
+// 2FA enabled. Repeated failures lock 2FA checks for TWO_FACTOR_LOCK_MINUTES.
+// Returns { valid } or { valid: false, message }.
+async function verifyTwoFactor(user, { code, recoveryCode }) {
+  if (user.two_factor_locked_until && new Date(user.two_factor_locked_until) > new Date()) {
+    return { valid: false, message: 'Too many incorrect codes. Try again later' };
+  }
+  
+  let valid = false;
+  
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const remaining = user.two_factor_recovery_codes || [];
+    
+    if (remaining.includes(hash)) {
+      const { data: used } = await supabaseAdmin
+        .from('users')
+        .update({ two_factor_recovery_codes: remaining.filter(stored => stored !== hash) })
+        .eq('id', user.id)
+        .contains('two_factor_recovery_codes', [hash])
+        .select('id');
+      
+      valid = Boolean(used?.length);
+    }
+  } else {
+    valid = await verifyTotp(user.id, decryptSecret(user.two_factor_secret), code);
+  }
+  
+  const failures = valid ? 0 : (user.two_factor_failures || 0) + 1;
+  
+  await supabaseAdmin
+    .from('users')
+    .update({
+      two_factor_failures: failures >= TWO_FACTOR_MAX_FAILURES ? 0 : failures,
+      two_factor_locked_until: failures >= TWO_FACTOR_MAX_FAILURES
+        ? new Date(Date.now() + TWO_FACTOR_LOCK_MINUTES * 60 * 1000).toISOString()
+        : null
+    })
+    .eq('id', user.id);
+  
+  return valid ? { valid } : { valid, message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' };
+}
+
+async function markSessionTwoFactorVerified(sessionId) {
+  await supabaseAdmin
+    .from('sessions')
+    .update({ two_factor_verified_at: new Date().toISOString() })
+    .eq('id', sessionId);
+}
+
+// ============================================
+// M-PESA (DARAJA) INTEGRATION
+// ============================================
+
+let mpesaAccessToken = null;
+let mpesaAccessTokenExpiresAt = 0;
+
+async function getMpesaAccessToken() {
+  if (mpesaAccessToken && Date.now() < mpesaAccessTokenExpiresAt) {
+    return mpesaAccessToken;
+  }
+  
+  const credentials = Buffer.from(`${MPESA_CONSUMER_KEY}:${MPESA_CONSUMER_SECRET}`).toString('base64');
+  const response = await fetch(`${MPESA_BASE_URL}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${credentials}` }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`M-Pesa authentication failed (${response.status})`);
+  }
+  
+  const { access_token, expires_in } = await response.json();
+  mpesaAccessToken = access_token;
+  // Refresh a minute before Daraja expires the token
+  mpesaAccessTokenExpiresAt = Date.now() + (parseInt(expires_in) - 60) * 1000;
+  
+  return mpesaAccessToken;
+}
+
+// Daraja expects yyyyMMddHHmmss in East Africa Time
+function mpesaTimestamp() {
+  const eat = new Date(Date.now() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[^0-9]/g, '').substring(0, 14);
+}
+
+async function initiateStkPush({ phone, amount, accountReference, description, callbackUrl }) {
+  const accessToken = await getMpesaAccessToken();
+  const timestamp = mpesaTimestamp();
+  const password = Buffer.from(`${MPESA_SHORTCODE}${MPESA_PASSKEY}${timestamp}`).toString('base64');
+  
+  const response = await fetch(`${MPESA_BASE_URL}/mpesa/stkpush/v1/processrequest`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      BusinessShortCode: MPESA_SHORTCODE,
+      Password: password,
+      Timestamp: timestamp,
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: Math.ceil(amount),
+      PartyA: phone,
+      PartyB: MPESA_SHORTCODE,
+      PhoneNumber: phone,
+      CallBackURL: callbackUrl,
+      AccountReference: accountReference.substring(0, 12),
+      TransactionDesc: description.substring(0, 13)
+    })
+  });
+  
+  const result = await response.json().catch(() => ({}));
+  
+  if (!response.ok || result.ResponseCode !== '0') {
+    throw new Error(result.errorMessage || result.ResponseDescription || `STK Push failed (${response.status})`);
+  }
+  
+  return result;
+}
+
+function mpesaCallbackUrl(path) {
+  const url = `${MPESA_CALLBACK_BASE_URL}${path}`;
+  return MPESA_CALLBACK_SECRET ? `${url}?token=${encodeURIComponent(MPESA_CALLBACK_SECRET)}` : url;
+}
+
+// Daraja does not sign callbacks, so they carry a shared secret in the URL instead.
+// Without a configured secret nothing can be trusted, so every callback is refused.
+function isValidMpesaCallback(req) {
+  if (!MPESA_CALLBACK_SECRET || typeof req.query.token !== 'string') return false;
+  
+  const expected = Buffer.from(MPESA_CALLBACK_SECRET);
+  const received = Buffer.from(req.query.token);
+  
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+async function initiateB2CPayment({ phone, amount, remarks, occasion }) {
+  const accessToken = await getMpesaAccessToken();
+  
+  const response = await fetch(`${MPESA_BASE_URL}/mpesa/b2c/v1/paymentrequest`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      InitiatorName: MPESA_INITIATOR_NAME,
+      SecurityCredential: MPESA_SECURITY_CREDENTIAL,
+      CommandID: 'BusinessPayment',
+      Amount: Math.floor(amount),
+      PartyA: MPESA_B2C_SHORTCODE,
+      PartyB: phone,
+      Remarks: remarks.substring(0, 100),
+      QueueTimeOutURL: mpesaCallbackUrl('/api/withdrawals/mpesa/timeout'),
+      ResultURL: mpesaCallbackUrl('/api/withdrawals/mpesa/result'),
+      Occasion: occasion
+    })
+  });
+  
+  const result = await response.json().catch(() => ({}));
+  
+  if (!response.ok || result.ResponseCode !== '0') {
+    throw new Error(result.errorMessage || result.ResponseDescription || `B2C payment failed (${response.status})`);
+  }
+  
+  return result;
+}
+
+// Creates a pending payment. With a transaction code the payment waits for an
+// admin to confirm it by hand; without one an STK Push prompt is sent to the
+// user's phone and the Daraja callback settles it.
+async function createPayment(user, { type, amount, transactionCode, phone, postId = null, description }) {
+  const paymentData = {
+    id: uuidv4(),
+    user_id: user.id,
+    amount,
+    type,
+    transaction_code: transactionCode || `STK-${uuidv4()}`,
+    status: 'pending',
+    post_id: postId,
+    phone: transactionCode ? null : phone,
+    created_at: new Date().toISOString()
+  };
+  
+  const { error } = await supabaseAdmin
+    .from('payments')
+    .insert([paymentData]);
+  
+  if (error) throw error;
+  
+  if (transactionCode) {
+    return { payment: paymentData, stkPush: null };
+  }
+  
+  try {
+    const stkPush = await initiateStkPush({
+      phone,
+      amount,
+      accountReference: process.env.MPESA_ACCOUNT || 'SOKOPLUS',
+      description,
+      callbackUrl: mpesaCallbackUrl('/api/payments/mpesa/callback')
+    });
+    
+    paymentData.checkout_request_id = stkPush.CheckoutRequestID;
+    paymentData.merchant_request_id = stkPush.MerchantRequestID;
+    
+    await supabaseAdmin
+      .from('payments')
+      .update({
+        checkout_request_id: stkPush.CheckoutRequestID,
+        merchant_request_id: stkPush.MerchantRequestID,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', paymentData.id);
+    
+    return { payment: paymentData, stkPush };
+  } catch (error) {
+    await supabaseAdmin
+      .from('payments')
+      .update({
+        status: 'failed',
+        result_desc: error.message,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', paymentData.id);
+    
+    error.status = 502;
+    throw error;
+  }
+}
+
+// Renewals paid before expiry add a full period on top of the time that is left
+function extendExpiry(currentExpiry, days) {
+  const current = currentExpiry ? new Date(currentExpiry) : null;
+  const expiresAt = current && current > new Date() ? current : new Date();
+  expiresAt.setDate(expiresAt.getDate() + days);
+  return expiresAt.toISOString();
+}
+
+// A plan can be renewed once it is inactive or inside the reminder window
+function isRenewable(active, expiresAt) {
+  if (!active) return true;
+  if (!expiresAt) return false;
+  return new Date(expiresAt).getTime() - Date.now() <= EXPIRY_REMINDER_HOURS * 60 * 60 * 1000;
+}
+
+// Unpins posts whose boost has run out. Post listings call this too, so it is
+// throttled to one database update a minute per instance.
+let boostsClearedAt = 0;
+
+async function clearExpiredBoosts({ force = false } = {}) {
+  if (!force && Date.now() - boostsClearedAt < 60 * 1000) return 0;
+  boostsClearedAt = Date.now();
+  
+  const { data: cleared, error } = await supabaseAdmin
+    .from('posts')
+    .update({
+      boosted: false,
+      updated_at: new Date().toISOString()
+    })
+    .eq('boosted', true)
+    .lte('boost_expires_at', new Date().toISOString())
+    .select('id');
+  
+  if (error) {
+    console.error('Clear expired boosts error:', error.message);
+    return 0;
+  }
+  
+  return cleared?.length || 0;
+}
+
+async function hasWithdrawalHold(withdrawalId) {
+  const { count } = await supabaseAdmin
+    .from('ledger_entries')
+    .select('*', { count: 'exact', head: true })
+    .eq('reference_type', 'withdrawal')
+    .eq('reference_id', withdrawalId)
+    .eq('entry_type', 'withdrawal_hold');
+  
+  return count > 0;
+}
+
+async function holdWithdrawal(withdrawal, createdBy = null) {
+  await postLedgerTransaction(withdrawal.user_id, [
+    { entryType: 'withdrawal_hold', amount: withdrawal.amount, from: 'user_available', to: 'user_held' }
+  ], {
+    referenceType: 'withdrawal',
+    referenceId: withdrawal.id,
+    description: `Withdrawal to ${withdrawal.mpesa_number}`,
+    createdBy
+  });
+}
+
+// Postings that return a held withdrawal amount to the user's available
+// balance; none for withdrawals requested before holds existed
+async function withdrawalReleasePostings(withdrawal) {
+  if (!(await hasWithdrawalHold(withdrawal.id))) return [];
+  
+  return [
+    { entryType: 'withdrawal_release', amount: withdrawal.amount, from: 'user_held', to: 'user_available' }
+  ];
+}
+
+// Returns a held withdrawal amount to the user's available balance
+async function releaseWithdrawal(withdrawal, reason, createdBy = null) {
+  const postings = await withdrawalReleasePostings(withdrawal);
+  if (postings.length === 0) return;
+  
+  await postLedgerTransaction(withdrawal.user_id, postings, {
+    referenceType: 'withdrawal',
+    referenceId: withdrawal.id,
+    description: `Withdrawal released: ${reason}`,
+    createdBy
+  });
+}
+
+// Changes a withdrawal's status and posts its ledger entries in one transaction.
+// `from` guards the current status; postings take the same shape as for
+// postLedgerTransaction. Returns the updated withdrawal, or null when it is no
+// longer in that status. Throws a 400 error when the postings would overdraw the wallet.
+async function settleWithdrawal(withdrawal, { from, changes, postings = [], description = null, createdBy = null, audit = null }) {
+  const { data, error } = await supabaseAdmin.rpc('settle_withdrawal', {
+    p_withdrawal_id: withdrawal.id,
+    p_from_status: from,
+    p_changes: changes,
+    p_postings: ledgerPostings(postings),
+    p_description: description,
+    p_created_by: createdBy,
+    p_audit: audit
+  });
+  
+  if (error) throw ledgerError(error);
+  return data;
+}
+
+// Marks an approved withdrawal as failed and returns the money to the user's balance
+async function failWithdrawal(withdrawal, reason) {
+  const failed = await settleWithdrawal(withdrawal, {
+    from: 'approved',
+    changes: {
+      status: 'failed',
+      result_desc: reason,
+      updated_at: new Date().toISOString()
+    },
+    postings: [
+      { entryType: 'reversal', amount: withdrawal.amount, from: 'user_held', to: 'user_available' }
+    ],
+    description: `Withdrawal refunded: ${reason}`
+  });
+  
+  if (!failed) return;
+  
+  await createNotification(withdrawal.user_id, {
+    title: 'Withdrawal Failed',
+    message: `Your withdrawal of ${formatPrice(withdrawal.amount)} could not be paid out and has been refunded to your balance: ${reason}`,
+    type: 'withdrawal',
+    data: { withdrawalId: withdrawal.id, status: 'failed' }
+  });
+}
+
+// ============================================
+// AUTHENTICATION ENDPOINTS
+// ============================================
+
+// Register User
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { name, email, phone, password, referralCode } = req.body;
+    
+    if (!name || !email || !phone || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'All fields are required' 
+      });
+    }
+    
+    // Validate phone format
+    if (!/^2547\d{8}$/.test(phone)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Phone must be in format: 2547XXXXXXXX' 
+      });
+    }
+    
+    // Check existing user
+    const { data: existingUser } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .or(`email.eq.${email},phone.eq.${phone}`)
+      .single();
+    
+    if (existingUser) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'User with this email or phone already exists' 
+      });
+    }
+    
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+    
+    // Generate referral code
+    const userReferralCode = generateReferralCode(name);
+    
+    // Create user
+    const newUser = {
+      id: uuidv4(),
+      name,
+      email,
+      phone,
+      password_hash: passwordHash,
+      referral_code: userReferralCode,
+      referral_from: referralCode || null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    
+    const { error: userError } = await supabaseAdmin
+      .from('users')
+      .insert([newUser]);
+    
+    if (userError) throw userError;
+    
+    // Handle referral
+    if (referralCode) {
+      const { data: referrer } = await supabaseAdmin
+        .from('users')
+        .select('id')
+        .eq('referral_code', referralCode)
+        .single();
+      
+      if (referrer) {
+        const referralData = {
+          id: uuidv4(),
+          referrer_id: referrer.id,
+          referred_user_id: newUser.id,
+          commission: REFERRAL_SUB_COMMISSION,
+          type: 'subscription',
+          status: 'pending',
+          created_at: new Date().toISOString()
+        };
+        
+        await supabaseAdmin
+          .from('referrals')
+          .insert([referralData]);
+      }
+    }
+    
+    // The account works straight away, but posting and withdrawing wait for the phone to be verified
+    let verificationSent = true;
+    try {
+      await issueOtp(newUser.id, { purpose: 'phone_verification', channel: 'sms', destination: phone });
+    } catch (error) {
+      console.error('Verification code error:', error.message);
+      verificationSent = false;
+    }
+    
+    const { token, refreshToken, expiresIn } = await createSession(newUser, req);
+    
+    // Remove sensitive data
+    const userWithoutPassword = withoutSecrets(newUser);
+    
+    res.status(201).json({
+      success: true,
+      message: verificationSent
+        ? 'Registration successful. Enter the code sent to your phone to verify it'
+        : 'Registration successful. Request a verification code to verify your phone',
+      user: userWithoutPassword,
+      token,
+      refreshToken,
+      expiresIn,
+      verificationRequired: true
+    });
+    
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Registration failed', 
+      error: error.message 
+    });
+  }
+});
+
+// Login User
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!email || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email and password required' 
+      });
+    }
+    
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('*')
+      .eq('email', email)
+      .single();
+    
+    if (error || !user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid credentials' 
+      });
+    }
+    
+    const isValid = await bcrypt.compare(password, user.password_hash);
+    if (!isValid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid credentials' 
+      });
+    }
+    
+    if (user.status !== 'active') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is suspended' 
+      });
+    }
+    
+    // Accounts with 2FA get a short-lived challenge instead of a session
+    if (user.two_factor_enabled) {
+      const challengeToken = jwt.sign(
+        { userId: user.id, purpose: 'two_factor_login' },
+        JWT_SECRET,
+        { expiresIn: `${TWO_FACTOR_CHALLENGE_MINUTES}m` }
+      );
+      
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
+    
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+    
+    const userWithoutPassword = withoutSecrets(user);
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: userWithoutPassword,
+      token,
+      refreshToken,
+      expiresIn
+    });
+    
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Login failed', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Profile
+app.get('/api/auth/profile', authenticateToken, async (req, res) => {
+  try {
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('*')
+      .eq('id', req.user.id)
+      .single();
+    
+    if (error || !user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+    
+    const userWithoutPassword = withoutSecrets(user);
+    
+    res.json({
+      success: true,
+      user: userWithoutPassword
+    });
+    
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch profile', 
+      error: error.message 
+    });
+  }
+});
+
+// Update Profile
+app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+  try {
+    const { name, phone, location, bio, business_name, profile_picture } = req.body;
+    
+    if (findForeignImage([profile_picture], 'profiles', req.user.id, [req.user.profile_picture])) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Profile pictures must be uploaded through /api/uploads/profile-picture' 
+      });
+    }
+    
+    const updateData = {
+      name,
+      location,
+      bio,
+      business_name,
+      profile_picture,
+      updated_at: new Date().toISOString()
+    };
+    
+    // A new phone number only replaces the current one once it is verified
+    const phoneChanged = phone !== undefined && phone !== req.user.phone;
+    if (phoneChanged) {
+      if (!/^2547\d{8}$/.test(phone)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Phone must be in format: 2547XXXXXXXX' 
+        });
+      }
+      
+      const { data: phoneOwner } = await supabaseAdmin
+        .from('users')
+        .select('id')
+        .eq('phone', phone)
+        .maybeSingle();
+      
+      if (phoneOwner) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Phone number is already in use' 
+        });
+      }
+      
+      await issueOtp(req.user.id, { purpose: 'phone_verification', channel: 'sms', destination: phone });
+      updateData.pending_phone = phone;
+    }
+    
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .update(updateData)
+      .eq('id', req.user.id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    const userWithoutPassword = withoutSecrets(user);
+    
+    res.json({
+      success: true,
+      message: phoneChanged
+        ? 'Profile updated. Enter the code sent to your new phone number to finish changing it'
+        : 'Profile updated successfully',
+      user: userWithoutPassword,
+      verificationRequired: phoneChanged
+    });
+    
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      message: error.status === 429 ? error.message : error.status === 503 ? 'Phone verification is temporarily unavailable' : 'Failed to update profile', 
+      error: error.message 
+    });
+  }
+});
+
+// Change Password
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Current and new password required' 
+      });
+    }
+    
+    // Verify current password
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('password_hash')
+      .eq('id', req.user.id)
+      .single();
+    
+    const isValid = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!isValid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Current password is incorrect' 
+      });
+    }
+    
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    const newPasswordHash = await bcrypt.hash(newPassword, salt);
+    
+    await supabaseAdmin
+      .from('users')
+      .update({ 
+        password_hash: newPasswordHash,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.user.id);
+    
+    await revokeUserSessions(req.user.id, { reason: 'password_change', exceptSessionId: req.sessionId });
+    
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been signed out'
+    });
+    
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to change password', 
+      error: error.message 
+    });
+  }
+});
+
+// Forgot Password
+// Always answers the same way so it cannot be used to find out who has an account
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const identifier = String(req.body.identifier || '').trim();
+    
+    if (!identifier) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email or phone number is required' 
+      });
+    }
+    
+    const byPhone = /^2547\d{8}$/.test(identifier);
+    
+    // A missing provider is reported before the lookup, so every caller gets the same answer
+    if (byPhone) {
+      messageSender(SMS_SENDERS, 'SMS_PROVIDER', SMS_PROVIDER);
+    } else {
+      messageSender(EMAIL_SENDERS, 'EMAIL_PROVIDER', EMAIL_PROVIDER);
+    }
+    
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('id, email, phone, status')
+      .eq(byPhone ? 'phone' : 'email', identifier)
+      .maybeSingle();
+    
+    if (user && user.status === 'active') {
+      try {
+        await issueOtp(user.id, {
+          purpose: 'password_reset',
+          channel: byPhone ? 'sms' : 'email',
+          destination: byPhone ? user.phone : user.email
+        });
+      } catch (error) {
+        // Failures for a matching account must not answer differently from no match
+        if (error.status !== 429) console.error('Forgot password delivery error:', error);
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: `If an account matches, a reset code has been sent. It expires in ${OTP_TTL_MINUTES} minutes.`
+    });
+    
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      message: error.status === 503 ? 'Password reset is temporarily unavailable' : 'Failed to send reset code', 
+      error: error.message 
+    });
+  }
+});
+
+// Reset Password
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const identifier = String(req.body.identifier || '').trim();
+    const { code, newPassword } = req.body;
+    
+    if (!identifier || !code || !newPassword) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email or phone, code and new password are required' 
+      });
+    }
+    
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('id, status')
+      .eq(/^2547\d{8}$/.test(identifier) ? 'phone' : 'email', identifier)
+      .maybeSingle();
+    
+    const result = user && user.status === 'active'
+      ? await verifyOtp(user.id, 'password_reset', code)
+      : { valid: false, message: 'Code is invalid or has expired. Request a new one' };
+    
+    if (!result.valid) {
+      return res.status(400).json({ 
+        success: false, 
+        message: result.message 
+      });
+    }
+    
+    const salt = await bcrypt.genSalt(10);
+    const newPasswordHash = await bcrypt.hash(newPassword, salt);
+    
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({ 
+        password_hash: newPasswordHash,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', user.id);
+    
+    if (error) throw error;
+    
+    await revokeUserSessions(user.id, { reason: 'password_reset' });
+    
+    await createNotification(user.id, {
+      title: 'Password Reset',
+      message: 'Your password was reset and you were signed out of all devices. If this was not you, contact support immediately.',
+      type: 'security'
+    });
+    
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+    
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to reset password', 
+      error: error.message 
+    });
+  }
+});
+
+// Resend Phone Verification Code
+app.post('/api/auth/phone/resend', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.verified && !req.user.pending_phone) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Phone number is already verified' 
+      });
+    }
+    
+    const destination = req.user.pending_phone || req.user.phone;
+    
+    await issueOtp(req.user.id, { purpose: 'phone_verification', channel: 'sms', destination });
+    
+    res.json({
+      success: true,
+      message: `Verification code sent to ${destination.slice(0, 6)}***${destination.slice(-2)}`
+    });
+    
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      message: error.status === 429 ? error.message : error.status === 503 ? 'Phone verification is temporarily unavailable' : 'Failed to send verification code', 
+      error: error.message 
+    });
+  }
+});
+
+// Verify Phone
+app.post('/api/auth/phone/verify', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Verification code is required' 
+      });
+    }
+    
+    const result = await verifyOtp(req.user.id, 'phone_verification', code);
+    
+    if (!result.valid) {
+      return res.status(400).json({ 
+        success: false, 
+        message: result.message 
+      });
+    }
+    
+    // The code was sent to one number; verify that number even if the pending change moved on since
+    const phone = result.otp.destination;
+    
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .update({
+        phone,
+        pending_phone: req.user.pending_phone === phone ? null : req.user.pending_phone,
+        verified: true,
+        phone_verified_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.user.id)
+      .select()
+      .single();
+    
+    // Unique violation: someone else verified this number first
+    if (error?.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Phone number is already in use' 
+      });
+    }
+    
+    if (error) throw error;
+    
+    const userWithoutPassword = withoutSecrets(user);
+    
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      user: userWithoutPassword
+    });
+    
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to verify phone', 
+      error: error.message 
+    });
+  }
+});
+
+// Refresh Access Token
+// Each refresh token works once; the response carries its replacement
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : null;
+    
+    if (!sessionId || !UUID_PATTERN.test(sessionId)) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid refresh token' 
+      });
+    }
+    
+    const { data: session } = await supabaseAdmin
+      .from('sessions')
+      .select('*, user:users(*)')
+      .eq('id', sessionId)
+      .single();
+    
+    const tokenHash = hashToken(refreshToken);
+    
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has ended. Please log in again' 
+      });
+    }
+    
+    // A rotated-out token coming back means it was copied; end the session for both holders
+    if (tokenHash === session.previous_token_hash) {
+      await supabaseAdmin
+        .from('sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: 'token_reuse' })
+        .eq('id', session.id);
+      
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has ended. Please log in again' 
+      });
+    }
+    
+    if (tokenHash !== session.refresh_token_hash) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid refresh token' 
+      });
+    }
+    
+    if (session.user?.status !== 'active') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is suspended' 
+      });
+    }
+    
+    const newToken = newRefreshToken(session.id);
+    
+    // Only rotate if no parallel refresh has rotated it already
+    const { data: rotated, error } = await supabaseAdmin
+      .from('sessions')
+      .update({
+        refresh_token_hash: hashToken(newToken),
+        previous_token_hash: tokenHash,
+        last_used_at: new Date().toISOString(),
+        ip_address: req.ip || session.ip_address
+      })
+      .eq('id', session.id)
+      .eq('refresh_token_hash', tokenHash)
+      .is('revoked_at', null)
+      .select('id');
+    
+    if (error) throw error;
+    
+    if (!rotated?.length) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid refresh token' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      token: issueAccessToken(session.user, session.id),
+      refreshToken: newToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+    
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to refresh session', 
+      error: error.message 
+    });
+  }
+});
+
+// Logout
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.body.allDevices) {
+      await revokeUserSessions(req.user.id, { reason: 'logout' });
+    } else {
+      await supabaseAdmin
+        .from('sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: 'logout' })
+        .eq('id', req.sessionId);
+    }
+    
+    res.json({
+      success: true,
+      message: req.body.allDevices ? 'Logged out of all devices' : 'Logged out successfully'
+    });
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to log out', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Active Sessions
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { data: sessions, error } = await supabaseAdmin
+      .from('sessions')
+      .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      sessions: (sessions || []).map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch sessions', 
+      error: error.message 
+    });
+  }
+});
+
+// Revoke Session
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: revoked, error } = await supabaseAdmin
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: 'revoked_by_user' })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .select('id');
+    
+    if (error) throw error;
+    
+    if (!revoked?.length) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to sign out device', 
+      error: error.message 
+    });
+  }
+});
+
+// Complete Two-Factor Login
+app.post('/api/auth/2fa/login', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (error) {
+      challenge = null;
+    }
+    
+    if (challenge?.purpose !== 'two_factor_login') {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login has expired. Please log in again' 
+      });
+    }
+    
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('*')
+      .eq('id', challenge.userId)
+      .single();
+    
+    if (!user || !user.two_factor_enabled) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login has expired. Please log in again' 
+      });
+    }
+    
+    if (user.status !== 'active') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is suspended' 
+      });
+    }
+    
+    const result = await verifyTwoFactor(user, { code, recoveryCode });
+    
+    if (!result.valid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: result.message 
+      });
+    }
+    
+    const { token, refreshToken, expiresIn } = await createSession(user, req, { twoFactorVerified: true });
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: withoutSecrets(user),
+      token,
+      refreshToken,
+      expiresIn
+    });
+    
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Login failed', 
+      error: error.message 
+    });
+  }
+});
+
+// Start Two-Factor Enrolment
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.two_factor_enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is already enabled' 
+      });
+    }
+    
+    const secret = authenticator.generateSecret();
+    
+    await supabaseAdmin
+      .from('users')
+      .update({ two_factor_pending_secret: encryptSecret(secret) })
+      .eq('id', req.user.id);
+    
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: authenticator.keyuri(req.user.email, TWO_FACTOR_ISSUER, secret)
+    });
+    
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to start two-factor setup', 
+      error: error.message 
+    });
+  }
+});
+
+// Confirm Two-Factor Enrolment
+app.post('/api/auth/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.two_factor_enabled || !req.user.two_factor_pending_secret) {
+      return res.status(400).json({ 
+        success: false, 
+        message: req.user.two_factor_enabled ? 'Two-factor authentication is already enabled' : 'Start two-factor setup first' 
+      });
+    }
+    
+    const valid = await verifyTotp(req.user.id, decryptSecret(req.user.two_factor_pending_secret), req.body.code);
+    
+    if (!valid) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid authentication code' 
+      });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({
+        two_factor_enabled: true,
+        two_factor_secret: req.user.two_factor_pending_secret,
+        two_factor_pending_secret: null,
+        two_factor_recovery_codes: hashes,
+        two_factor_enabled_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.user.id);
+    
+    if (error) throw error;
+    
+    await markSessionTwoFactorVerified(req.sessionId);
+    
+    await createNotification(req.user.id, {
+      title: 'Two-Factor Authentication Enabled',
+      message: 'Your account now asks for an authenticator code when you log in',
+      type: 'security'
+    });
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; each works once',
+      recoveryCodes: codes
+    });
+    
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to enable two-factor authentication', 
+      error: error.message 
+    });
+  }
+});
+
+// Confirm Two-Factor for a Sensitive Action
+app.post('/api/auth/2fa/verify', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is not enabled' 
+      });
+    }
+    
+    const result = await verifyTwoFactor(req.user, req.body);
+    
+    if (!result.valid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: result.message 
+      });
+    }
+    
+    await markSessionTwoFactorVerified(req.sessionId);
+    
+    res.json({
+      success: true,
+      message: 'Verified',
+      validForMinutes: TWO_FACTOR_FRESH_MINUTES
+    });
+    
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to verify code', 
+      error: error.message 
+    });
+  }
+});
+
+// Regenerate Recovery Codes
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is not enabled' 
+      });
+    }
+    
+    const result = await verifyTwoFactor(req.user, { code: req.body.code });
+    
+    if (!result.valid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: result.message 
+      });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({ two_factor_recovery_codes: hashes })
+      .eq('id', req.user.id);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work',
+      recoveryCodes: codes
+    });
+    
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to generate recovery codes', 
+      error: error.message 
+    });
+  }
+});
+
+// Disable Two-Factor Authentication
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is not enabled' 
+      });
+    }
+    
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Two-factor authentication is required for your account' 
+      });
+    }
+    
+    if (!password || !(await bcrypt.compare(password, req.user.password_hash))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Password is incorrect' 
+      });
+    }
+    
+    const result = await verifyTwoFactor(req.user, { code });
+    
+    if (!result.valid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: result.message 
+      });
+    }
+    
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({
+        two_factor_enabled: false,
+        two_factor_secret: null,
+        two_factor_recovery_codes: null,
+        two_factor_enabled_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.user.id);
+    
+    if (error) throw error;
+    
+    await createNotification(req.user.id, {
+      title: 'Two-Factor Authentication Disabled',
+      message: 'Your account no longer asks for an authenticator code. If this was not you, change your password now.',
+      type: 'security'
+    });
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+    
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to disable two-factor authentication', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// POST MANAGEMENT ENDPOINTS
+// ============================================
+
+// Create Post
+app.post('/api/posts', authenticateToken, requireVerifiedPhone, async (req, res) => {
+  try {
+    if (!req.user.subscription_active) {
+      return res.status(403).json({ 
+        success: false, 
+        message: req.user.subscription_expires_at
+          ? 'Your subscription has expired. Renew to keep posting'
+          : 'Active subscription required to post' 
+      });
+    }
+    
+    // Boosts are only granted through POST /api/posts/:id/boost; ratings and
+    // comment counts are kept up to date by their own endpoints
+    const { boosted, boost_expires_at, rating, review_count, comment_count, ...body } = req.body;
+    
+    if (body.images !== undefined && !Array.isArray(body.images)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'images must be an array of uploaded image URLs' 
+      });
+    }
+    
+    if (findForeignImage(body.images, 'posts', req.user.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Images must be uploaded through /api/uploads/post-images' 
+      });
+    }
+    
+    const postData = {
+      id: uuidv4(),
+      ...body,
+      user_id: req.user.id,
+      status: 'active',
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    
+    // Validate post type
+    const validTypes = ['product', 'social', 'job', 'service', 'cv'];
+    if (!validTypes.includes(postData.type)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid post type' 
+      });
+    }
+    
+    // Type-specific validation
+    if (postData.type === 'product' && !postData.price) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Price is required for products' 
+      });
+    }
+    
+    if (postData.type === 'service' && (!postData.price_min || !postData.price_max)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Price range required for services' 
+      });
+    }
+    
+    if (postData.type === 'job' && (!postData.salary_min || !postData.salary_max)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Salary range required for jobs' 
+      });
+    }
+    
+    const { data: post, error } = await supabaseAdmin
+      .from('posts')
+      .insert([postData])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    if (['product', 'service'].includes(post.type)) {
+      await notifyShopFollowers(post);
+    }
+    
+    // Saved searches are matched by the alert job, outside this request
+    const { error: queueError } = await supabaseAdmin
+      .from('saved_search_queue')
+      .insert([{ post_id: post.id }]);
+    
+    if (queueError) console.error('Saved search queue error:', queueError.message);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Post created successfully',
+      post
+    });
+    
+  } catch (error) {
+    console.error('Create post error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to create post', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Posts with Filters
+app.get('/api/posts', async (req, res) => {
+  try {
+    const { 
+      type, 
+      category, 
+      search, 
+      minPrice, 
+      maxPrice, 
+      location,
+      page = 1, 
+      limit = 20,
+      sortBy = 'created_at',
+      sortOrder = 'desc',
+      boosted,
+      userId
+    } = req.query;
+    
+    await clearExpiredBoosts();
+    
+    const terms = search ? searchTerms(search) : [];
+    
+    if (terms.length) {
+      const { data: results, error: searchError } = await supabaseAdmin.rpc('search_posts', {
+        p_terms: terms,
+        p_type: type || null,
+        p_category: category || null,
+        p_location: location || null,
+        p_min_price: minPrice ? parseFloat(minPrice) : null,
+        p_max_price: maxPrice ? parseFloat(maxPrice) : null,
+        p_user_id: userId || null,
+        p_boosted: boosted === 'true' ? true : null,
+        p_limit: parseInt(limit),
+        p_offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+      
+      if (searchError) throw searchError;
+      
+      const userIds = [...new Set((results || []).map(result => result.post.user_id))];
+      const { data: users } = userIds.length
+        ? await supabaseAdmin
+            .from('users')
+            .select('id, name, email, profile_picture, verified, business_name')
+            .in('id', userIds)
+        : { data: [] };
+      
+      const totalCount = results?.[0]?.total_count || 0;
+      
+      return res.json({
+        success: true,
+        posts: (results || []).map(result => ({
+          ...withoutContact(result.post),
+          user: (users || []).find(user => user.id === result.post.user_id) || null,
+          rank: result.rank,
+          snippet: result.snippet
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / parseInt(limit))
+        }
+      });
+    }
+    
+    let query = supabaseAdmin
+      .from('posts')
+      .select(`
+        *,
+        user:users(id, name, email, profile_picture, verified, business_name)
+      `)
+      .eq('status', 'active');
+    
+    // Apply filters
+    if (type) query = query.eq('type', type);
+    if (category) query = query.eq('category', category);
+    if (location) query = query.ilike('location', `%${location}%`);
+    if (userId) query = query.eq('user_id', userId);
+    if (boosted === 'true') query = query.eq('boosted', true);
+    
+    if (minPrice) query = query.gte('price', minPrice);
+    if (maxPrice) query = query.lte('price', maxPrice);
+    
+    // Apply sorting
+    const sortOptions = {
+      'newest': { column: 'created_at', ascending: false },
+      'oldest': { column: 'created_at', ascending: true },
+      'price-low': { column: 'price', ascending: true },
+      'price-high': { column: 'price', ascending: false },
+      'popular': { column: 'views', ascending: false },
+      'most-commented': { column: 'comment_count', ascending: false }
+    };
+    
+    // Boosted posts are pinned above the chosen sort order
+    const sort = sortOptions[sortBy] || sortOptions.newest;
+    query = query
+      .order('boosted', { ascending: false })
+      .order(sort.column, { ascending: sort.ascending });
+    
+    // Pagination
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    query = query.range(from, to);
+    
+    const { data: posts, error, count } = await query;
+    
+    if (error) throw error;
+    
+    // Get total count
+    let countQuery = supabaseAdmin
+      .from('posts')
+      .select('*', { count: 'exact', head: true })
+      .eq('status', 'active');
+    
+    if (type) countQuery = countQuery.eq('type', type);
+    if (category) countQuery = countQuery.eq('category', category);
+    
+    const { count: totalCount } = await countQuery;
+    
+    res.json({
+      success: true,
+      posts: (posts || []).map(withoutContact),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount || 0,
+        pages: Math.ceil((totalCount || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get posts error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch posts', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Single Post
+app.get('/api/posts/:id', async (req, res) => {
+  try {
+    const postId = req.params.id;
+    
+    // Increment view count
+    await supabaseAdmin
+      .from('posts')
+      .update({ views: supabaseAdmin.rpc('increment', { x: 1 }) })
+      .eq('id', postId);
+    
+    const { data: post, error } = await supabaseAdmin
+      .from('posts')
+      .select(`
+        *,
+        user:users(id, name, email, profile_picture, verified, business_name)
+      `)
+      .eq('id', postId)
+      .single();
+    
+    if (error || !post) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Post not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      post: withoutContact(post)
+    });
+    
+  } catch (error) {
+    console.error('Get post error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch post', 
+      error: error.message 
+    });
+  }
+});
+
+// Update Post
+app.put('/api/posts/:id', authenticateToken, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    
+    // Check ownership
+    const { data: existingPost } = await supabaseAdmin
+      .from('posts')
+      .select('*')
+      .eq('id', postId)
+      .single();
+    
+    if (!existingPost) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Post not found' 
+      });
+    }
+    
+    if (existingPost.user_id !== req.user.id && !hasPermission(req, 'content:moderate')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to update this post' 
+      });
+    }
+    
+    const { boosted, boost_expires_at, rating, review_count, comment_count, ...body } = req.body;
+    
+    if (body.images !== undefined && !Array.isArray(body.images)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'images must be an array of uploaded image URLs' 
+      });
+    }
+    
+    // New images must belong to the post's owner, also when staff edit the post
+    if (findForeignImage(body.images, 'posts', existingPost.user_id, existingPost.images || [])) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Images must be uploaded through /api/uploads/post-images' 
+      });
+    }
+    
+    const updateData = {
+      ...body,
+      updated_at: new Date().toISOString()
+    };
+    
+    const { data: post, error } = await supabaseAdmin
+      .from('posts')
+      .update(updateData)
+      .eq('id', postId)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    // Remove uploaded images the post no longer uses
+    if (Array.isArray(body.images)) {
+      await removeStoredImages((existingPost.images || []).filter(url => !body.images.includes(url)), 'posts', existingPost.user_id);
+    }
+    
+    // Staff edits to someone else's post are audited
+    if (existingPost.user_id !== req.user.id) {
+      await recordAudit(req, {
+        action: 'post.update',
+        targetType: 'post',
+        targetId: postId,
+        before: existingPost,
+        after: updateData,
+        metadata: { userId: existingPost.user_id }
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Post updated successfully',
+      post
+    });
+    
+  } catch (error) {
+    console.error('Update post error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update post', 
+      error: error.message 
+    });
+  }
+});
+
+// Delete Post
+app.delete('/api/posts/:id', authenticateToken, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    
+    const { data: existingPost } = await supabaseAdmin
+      .from('posts')
+      .select('*')
+      .eq('id', postId)
+      .single();
+    
+    if (!existingPost) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Post not found' 
+      });
+    }
+    
+    if (existingPost.user_id !== req.user.id && !hasPermission(req, 'content:moderate')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to delete this post' 
+      });
+    }
+    
+    await supabaseAdmin
+      .from('posts')
+      .update({ 
+        status: 'deleted',
+        images: [],
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', postId);
+    
+    await removeStoredImages(existingPost.images, 'posts', existingPost.user_id);
+    
+    if (existingPost.user_id !== req.user.id) {
+      await recordAudit(req, {
+        action: 'post.delete',
+        targetType: 'post',
+        targetId: postId,
+        before: { status: existingPost.status },
+        after: { status: 'deleted' },
+        metadata: { userId: existingPost.user_id, title: existingPost.title }
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Post deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to delete post', 
+      error: error.message 
+    });
+  }
+});
+
+// Like/Unlike Post
+app.post('/api/posts/:id/like', authenticateToken, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    
+    const { data: post } = await supabaseAdmin
+      .from('posts')
+      .select('likes')
+      .eq('id', postId)
+      .single();
+    
+    if (!post) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Post not found' 
+      });
+    }
+    
+    const likes = post.likes || [];
+    const userId = req.user.id;
+    
+    let updatedLikes;
+    let liked = false;
+    
+    if (likes.includes(userId)) {
+      // Unlike
+      updatedLikes = likes.filter(id => id !== userId);
+    } else {
+      // Like
+      updatedLikes = [...likes, userId];
+      liked = true;
+    }
+    
+    await supabaseAdmin
+      .from('posts')
+      .update({ 
+        likes: updatedLikes,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', postId);
+    
+    res.json({
+      success: true,
+      liked,
+      likes: updatedLikes.length
+    });
+    
+  } catch (error) {
+    console.error('Like post error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to like post', 
+      error: error.message 
+    });
+  }
+});
+
+// Boost Post
+app.post('/api/posts/:id/boost', authenticateToken, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const { transactionCode } = req.body;
+    const phone = req.body.phone || req.user.phone;
+    
+    const { data: post } = await supabaseAdmin
+      .from('posts')
+      .select('id, user_id, title, status')
+      .eq('id', postId)
+      .single();
+    
+    if (!post || post.status !== 'active') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Post not found' 
+      });
+    }
+    
+    if (post.user_id !== req.user.id) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to boost this post' 
+      });
+    }
+    
+    // Premium users get a free boost while the post is not boosted; only paid boosts stack.
+    // The filter is part of the update so two requests cannot both claim it.
+    if (req.user.upgraded) {
+      const now = new Date().toISOString();
+      
+      const { data: boostedPosts, error } = await supabaseAdmin
+        .from('posts')
+        .update({
+          boosted: true,
+          boost_expires_at: extendExpiry(null, BOOST_DAYS),
+          updated_at: now
+        })
+        .eq('id', postId)
+        .or(`boosted.eq.false,boost_expires_at.is.null,boost_expires_at.lte.${now}`)
+        .select();
+      
+      if (error) throw error;
+      
+      if (!boostedPosts?.length) {
+        return res.status(409).json({ 
+          success: false, 
+          message: 'This post is already boosted. Free boosts can be used again once it expires' 
+        });
+      }
+      
+      return res.json({
+        success: true,
+        message: 'Post boosted successfully',
+        post: boostedPosts[0]
+      });
+    }
+    
+    if (!transactionCode && !/^2547\d{8}$/.test(phone)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Phone must be in format: 2547XXXXXXXX' 
+      });
+    }
+    
+    const { payment, stkPush } = await createPayment(req.user, {
+      type: 'boost',
+      amount: BOOST_AMOUNT,
+      transactionCode,
+      phone,
+      postId,
+      description: 'Post Boost'
+    });
+    
+    if (stkPush) {
+      return res.json({
+        success: true,
+        message: stkPush.CustomerMessage || 'Check your phone to complete the payment',
+        payment
+      });
+    }
+    
+    await createNotification(req.user.id, {
+      title: 'New Boost Request',
+      message: `User ${req.user.name} has requested a boost for "${post.title || 'a post'}" with transaction code: ${transactionCode}`,
+      type: 'payment',
+      data: { paymentId: payment.id, postId, amount: BOOST_AMOUNT }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Boost request submitted for admin approval',
+      payment
+    });
+    
+  } catch (error) {
+    console.error('Boost post error:', error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      message: 'Failed to boost post', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// COMMENT ENDPOINTS
+// ============================================
+
+// Get Post Comments
+app.get('/api/posts/:id/comments', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const { data: comments, error, count } = await supabaseAdmin
+      .from('comments')
+      .select(COMMENT_COLUMNS, { count: 'exact' })
+      .eq('post_id', req.params.id)
+      .is('parent_id', null)
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    const { data: replies, error: repliesError } = await supabaseAdmin
+      .from('comments')
+      .select(COMMENT_COLUMNS)
+      .in('parent_id', (comments || []).map(comment => comment.id))
+      .order('created_at', { ascending: true });
+    
+    if (repliesError) throw repliesError;
+    
+    res.json({
+      success: true,
+      comments: (comments || []).map(comment => ({
+        ...comment,
+        replies: (replies || []).filter(reply => reply.parent_id === comment.id)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch comments', 
+      error: error.message 
+    });
+  }
+});
+
+// Add Comment or Reply
+app.post('/api/posts/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const { parentId } = req.body;
+    const body = req.body.body?.trim();
+    
+    if (!body || body.length > COMMENT_MAX_LENGTH) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Comment must be between 1 and ${COMMENT_MAX_LENGTH} characters` 
+      });
+    }
+    
+    const { data: post } = await supabaseAdmin
+      .from('posts')
+      .select('id, user_id, title, type, status')
+      .eq('id', req.params.id)
+      .single();
+    
+    if (!post || post.status !== 'active') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Post not found' 
+      });
+    }
+    
+    let parent = null;
+    if (parentId) {
+      ({ data: parent } = await supabaseAdmin
+        .from('comments')
+        .select('id, post_id, parent_id, user_id')
+        .eq('id', parentId)
+        .single());
+      
+      if (!parent || parent.post_id !== post.id) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Comment to reply to not found' 
+        });
+      }
+      
+      if (parent.parent_id) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Replies cannot be replied to. Reply to the original comment instead.' 
+        });
+      }
+    }
+    
+    const { data: comment, error } = await supabaseAdmin
+      .from('comments')
+      .insert([{
+        id: uuidv4(),
+        post_id: post.id,
+        user_id: req.user.id,
+        parent_id: parent?.id || null,
+        body,
+        created_at: new Date().toISOString()
+      }])
+      .select(COMMENT_COLUMNS)
+      .single();
+    
+    if (error) throw error;
+    
+    await refreshCommentCount(post.id);
+    
+    const postName = post.title ? `"${post.title}"` : 'your post';
+    
+    if (post.user_id !== req.user.id) {
+      await createNotification(post.user_id, {
+        title: 'New Comment',
+        message: `${req.user.name} commented on ${postName}: ${body.slice(0, MESSAGE_PREVIEW_LENGTH)}`,
+        type: 'comment',
+        data: { postId: post.id, commentId: comment.id }
+      });
+    }
+    
+    if (parent && parent.user_id !== req.user.id && parent.user_id !== post.user_id) {
+      await createNotification(parent.user_id, {
+        title: 'New Reply',
+        message: `${req.user.name} replied to your comment: ${body.slice(0, MESSAGE_PREVIEW_LENGTH)}`,
+        type: 'comment',
+        data: { postId: post.id, commentId: comment.id }
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Comment posted successfully',
+      comment
+    });
+    
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to post comment', 
+      error: error.message 
+    });
+  }
+});
+
+// Edit Comment
+app.put('/api/comments/:id', authenticateToken, async (req, res) => {
+  try {
+    const body = req.body.body?.trim();
+    
+    if (!body || body.length > COMMENT_MAX_LENGTH) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Comment must be between 1 and ${COMMENT_MAX_LENGTH} characters` 
+      });
+    }
+    
+    const { data: comment, error } = await supabaseAdmin
+      .from('comments')
+      .update({ 
+        body,
+        edited_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select(COMMENT_COLUMNS)
+      .single();
+    
+    if (error || !comment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Comment not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      comment
+    });
+    
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update comment', 
+      error: error.message 
+    });
+  }
+});
+
+// Delete Comment (author, post owner or admin)
+app.delete('/api/comments/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: comment } = await supabaseAdmin
+      .from('comments')
+      .select('id, user_id, post_id, body, post:posts(user_id)')
+      .eq('id', req.params.id)
+      .single();
+    
+    if (!comment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Comment not found' 
+      });
+    }
+    
+    if (comment.user_id !== req.user.id && comment.post?.user_id !== req.user.id && !hasPermission(req, 'content:moderate')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to delete this comment' 
+      });
+    }
+    
+    // Replies are deleted with their comment
+    const { error } = await supabaseAdmin
+      .from('comments')
+      .delete()
+      .eq('id', comment.id);
+    
+    if (error) throw error;
+    
+    await refreshCommentCount(comment.post_id);
+    
+    // Post owners may tidy their own threads; anyone else deleting is staff.
+    // The comment is already gone, so a failed audit write is logged rather than reported.
+    if (comment.user_id !== req.user.id && comment.post?.user_id !== req.user.id) {
+      try {
+        await recordAudit(req, {
+          action: 'comment.delete',
+          targetType: 'comment',
+          targetId: comment.id,
+          metadata: { userId: comment.user_id, postId: comment.post_id, body: comment.body }
+        });
+      } catch (auditError) {
+        console.error('Comment delete audit error:', auditError);
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to delete comment', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// FOLLOW & FEED ENDPOINTS
+// ============================================
+
+// Follow User or Shop
+app.post('/api/:targetType(users|shops)/:targetId/follow', authenticateToken, async (req, res) => {
+  try {
+    const target = await findFollowTarget(req.params.targetType, req.params.targetId);
+    
+    if (!target) {
+      return res.status(404).json({ 
+        success: false, 
+        message: req.params.targetType === 'shops' ? 'Shop not found' : 'User not found' 
+      });
+    }
+    
+    if (target.ownerId === req.user.id) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You cannot follow yourself' 
+      });
+    }
+    
+    const { error } = await supabaseAdmin
+      .from('follows')
+      .insert([{
+        id: uuidv4(),
+        follower_id: req.user.id,
+        [target.column]: target.id,
+        created_at: new Date().toISOString()
+      }]);
+    
+    // Already following
+    if (error && error.code !== '23505') throw error;
+    
+    if (!error) {
+      await createNotification(target.ownerId, {
+        title: 'New Follower',
+        message: target.column === 'shop_id'
+          ? `${req.user.name} started following ${target.name}`
+          : `${req.user.name} started following you`,
+        type: 'follow',
+        data: { followerId: req.user.id }
+      });
+    }
+    
+    res.json({
+      success: true,
+      following: true
+    });
+    
+  } catch (error) {
+    console.error('Follow error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to follow', 
+      error: error.message 
+    });
+  }
+});
+
+// Unfollow User or Shop
+app.delete('/api/:targetType(users|shops)/:targetId/follow', authenticateToken, async (req, res) => {
+  try {
+    const target = await findFollowTarget(req.params.targetType, req.params.targetId);
+    
+    if (!target) {
+      return res.status(404).json({ 
+        success: false, 
+        message: req.params.targetType === 'shops' ? 'Shop not found' : 'User not found' 
+      });
+    }
+    
+    const { error } = await supabaseAdmin
+      .from('follows')
+      .delete()
+      .eq('follower_id', req.user.id)
+      .eq(target.column, target.id);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      following: false
+    });
+    
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to unfollow', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Followers of a User or Shop
+app.get('/api/:targetType(users|shops)/:targetId/followers', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const target = await findFollowTarget(req.params.targetType, req.params.targetId);
+    
+    if (!target) {
+      return res.status(404).json({ 
+        success: false, 
+        message: req.params.targetType === 'shops' ? 'Shop not found' : 'User not found' 
+      });
+    }
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const { data: follows, error, count } = await supabaseAdmin
+      .from('follows')
+      .select('created_at, follower:users!follows_follower_id_fkey(id, name, profile_picture, verified)', { count: 'exact' })
+      .eq(target.column, target.id)
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      followersCount: count || 0,
+      followers: (follows || []).map(follow => ({ ...follow.follower, followed_at: follow.created_at })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch followers', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Accounts a User Follows
+app.get('/api/users/:id/following', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const [{ data: follows, error, count }, { count: followersCount }] = await Promise.all([
+      supabaseAdmin
+        .from('follows')
+        .select(`
+          created_at,
+          user:users!follows_user_id_fkey(id, name, profile_picture, verified),
+          shop:shops(id, slug, name, logo)
+        `, { count: 'exact' })
+        .eq('follower_id', req.params.id)
+        .order('created_at', { ascending: false })
+        .range(from, to),
+      supabaseAdmin
+        .from('follows')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', req.params.id)
+    ]);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      followingCount: count || 0,
+      followersCount: followersCount || 0,
+      following: (follows || []).map(follow => follow.shop
+        ? { type: 'shop', ...follow.shop, followed_at: follow.created_at }
+        : { type: 'user', ...follow.user, followed_at: follow.created_at }),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch following', 
+      error: error.message 
+    });
+  }
+});
+
+// Personalized Feed
+// Recent posts from followed users and shops, mixed with boosted posts.
+// Pass the returned nextCursor as ?cursor= to load older posts.
+app.get('/api/feed', authenticateToken, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || FEED_PAGE_SIZE, 50);
+    
+    await clearExpiredBoosts();
+    
+    const { data: follows, error: followsError } = await supabaseAdmin
+      .from('follows')
+      .select('user_id, shop:shops(user_id)')
+      .eq('follower_id', req.user.id);
+    
+    if (followsError) throw followsError;
+    
+    const followedIds = [...new Set((follows || []).map(follow => follow.user_id || follow.shop?.user_id).filter(Boolean))];
+    
+    let query = supabaseAdmin
+      .from('posts')
+      .select(`
+        *,
+        user:users(id, name, profile_picture, verified, business_name)
+      `)
+      .eq('status', 'active')
+      .neq('user_id', req.user.id);
+    
+    query = followedIds.length
+      ? query.or(`boosted.eq.true,user_id.in.(${followedIds.join(',')})`)
+      : query.eq('boosted', true);
+    
+    if (cursor) query = query.lt('created_at', cursor);
+    
+    const { data: posts, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      posts: (posts || []).map(post => ({
+        ...withoutContact(post),
+        feed_reason: followedIds.includes(post.user_id) ? 'following' : 'boosted'
+      })),
+      nextCursor: posts?.length === limit ? posts[posts.length - 1].created_at : null
+    });
+    
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch feed', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// SAVED POSTS & SEARCHES ENDPOINTS
+// ============================================
+
+// Save Post
+app.post('/api/posts/:id/save', authenticateToken, async (req, res) => {
+  try {
+    const { data: post } = await supabaseAdmin
+      .from('posts')
+      .select('id, status')
+      .eq('id', req.params.id)
+      .single();
+    
+    if (!post || post.status !== 'active') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Post not found' 
+      });
+    }
+    
+    const { error } = await supabaseAdmin
+      .from('saved_posts')
+      .insert([{
+        id: uuidv4(),
+        user_id: req.user.id,
+        post_id: post.id,
+        created_at: new Date().toISOString()
+      }]);
+    
+    // Already saved
+    if (error && error.code !== '23505') throw error;
+    
+    res.json({
+      success: true,
+      saved: true
+    });
+    
+  } catch (error) {
+    console.error('Save post error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to save post', 
+      error: error.message 
+    });
+  }
+});
+
+// Unsave Post
+app.delete('/api/posts/:id/save', authenticateToken, async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('saved_posts')
+      .delete()
+      .eq('user_id', req.user.id)
+      .eq('post_id', req.params.id);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      saved: false
+    });
+    
+  } catch (error) {
+    console.error('Unsave post error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to remove saved post', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Saved Posts
+app.get('/api/saved/posts', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const { data: saved, error, count } = await supabaseAdmin
+      .from('saved_posts')
+      .select(`
+        created_at,
+        post:posts(
+          *,
+          user:users(id, name, profile_picture, verified, business_name)
+        )
+      `, { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      posts: (saved || [])
+        .filter(item => item.post)
+        .map(item => ({ ...withoutContact(item.post), saved_at: item.created_at })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get saved posts error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch saved posts', 
+      error: error.message 
+    });
+  }
+});
+
+// Create Saved Search
+app.post('/api/saved-searches', authenticateToken, async (req, res) => {
+  try {
+    const { name, alertMode = 'instant' } = req.body;
+    const filters = normalizeSearchFilters(req.body.filters);
+    
+    if (!name || Object.keys(filters).length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A name and at least one filter are required' 
+      });
+    }
+    
+    if (!SAVED_SEARCH_ALERT_MODES.includes(alertMode)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Alert mode must be one of: ${SAVED_SEARCH_ALERT_MODES.join(', ')}` 
+      });
+    }
+    
+    const { count } = await supabaseAdmin
+      .from('saved_searches')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', req.user.id);
+    
+    if (count >= SAVED_SEARCH_LIMIT) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `You can save up to ${SAVED_SEARCH_LIMIT} searches` 
+      });
+    }
+    
+    const { data: savedSearch, error } = await supabaseAdmin
+      .from('saved_searches')
+      .insert([{
+        id: uuidv4(),
+        user_id: req.user.id,
+        name,
+        filters,
+        alert_mode: alertMode,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      savedSearch
+    });
+    
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to save search', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Saved Searches
+app.get('/api/saved-searches', authenticateToken, async (req, res) => {
+  try {
+    const { data: savedSearches, error } = await supabaseAdmin
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      savedSearches: savedSearches || []
+    });
+    
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch saved searches', 
+      error: error.message 
+    });
+  }
+});
+
+// Update Saved Search
+app.put('/api/saved-searches/:id', authenticateToken, async (req, res) => {
+  try {
+    const { name, alertMode } = req.body;
+    
+    if (alertMode !== undefined && !SAVED_SEARCH_ALERT_MODES.includes(alertMode)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Alert mode must be one of: ${SAVED_SEARCH_ALERT_MODES.join(', ')}` 
+      });
+    }
+    
+    const updateData = {
+      name,
+      alert_mode: alertMode,
+      updated_at: new Date().toISOString()
+    };
+    
+    if (req.body.filters !== undefined) {
+      updateData.filters = normalizeSearchFilters(req.body.filters);
+      
+      if (Object.keys(updateData.filters).length === 0) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'At least one filter is required' 
+        });
+      }
+    }
+    
+    // Remove undefined values
+    Object.keys(updateData).forEach(key => 
+      updateData[key] === undefined && delete updateData[key]
+    );
+    
+    const { data: savedSearch, error } = await supabaseAdmin
+      .from('saved_searches')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+    
+    if (error || !savedSearch) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Saved search not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      savedSearch
+    });
+    
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update saved search', 
+      error: error.message 
+    });
+  }
+});
+
+// Delete Saved Search
+app.delete('/api/saved-searches/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supabaseAdmin
+      .from('saved_searches')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+    
+    if (error) throw error;
+    
+    if (!deleted?.length) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Saved search not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to delete saved search', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// PAYMENT & SUBSCRIPTION ENDPOINTS
+// ============================================
+
+// Request Subscription
+app.post('/api/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    const { transactionCode } = req.body;
+    const phone = req.body.phone || req.user.phone;
+    
+    // Check if already subscribed
+    if (!isRenewable(req.user.subscription_active, req.user.subscription_expires_at)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Already subscribed' 
+      });
+    }
+    
+    if (!transactionCode && !/^2547\d{8}$/.test(phone)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Phone must be in format: 2547XXXXXXXX' 
+      });
+    }
+    
+    const { payment, stkPush } = await createPayment(req.user, {
+      type: 'subscription',
+      amount: SUB_AMOUNT,
+      transactionCode,
+      phone,
+      description: 'Subscription'
+    });
+    
+    if (stkPush) {
+      return res.json({
+        success: true,
+        message: stkPush.CustomerMessage || 'Check your phone to complete the payment',
+        payment
+      });
+    }
+    
+    // Create notification for admin
+    await createNotification(req.user.id, {
+      title: 'New Subscription Request',
+      message: `User ${req.user.name} (${req.user.email}) has requested subscription with transaction code: ${transactionCode}`,
+      type: 'payment',
+      data: { paymentId: payment.id, amount: SUB_AMOUNT }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Subscription request submitted for admin approval',
+      payment
+    });
+    
+  } catch (error) {
+    console.error('Subscription error:', error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      message: 'Failed to process subscription', 
+      error: error.message 
+    });
+  }
+});
+
+// Request Upgrade
+app.post('/api/upgrade', authenticateToken, async (req, res) => {
+  try {
+    const { transactionCode } = req.body;
+    const phone = req.body.phone || req.user.phone;
+    
+    if (!isRenewable(req.user.upgraded, req.user.upgrade_expires_at)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Already upgraded' 
+      });
+    }
+    
+    if (!transactionCode && !/^2547\d{8}$/.test(phone)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Phone must be in format: 2547XXXXXXXX' 
+      });
+    }
+    
+    const { payment, stkPush } = await createPayment(req.user, {
+      type: 'upgrade',
+      amount: UPGRADE_AMOUNT,
+      transactionCode,
+      phone,
+      description: 'Upgrade'
+    });
+    
+    // Handle referral commission for upgrade
+    if (req.user.referral_from) {
+      const { data: referrer } = await supabaseAdmin
+        .from('users')
+        .select('id')
+        .eq('referral_code', req.user.referral_from)
+        .single();
+      
+      if (referrer) {
+        const { data: existingReferral } = await supabaseAdmin
+          .from('referrals')
+          .select('id, status')
+          .eq('referrer_id', referrer.id)
+          .eq('referred_user_id', req.user.id)
+          .eq('type', 'upgrade')
+          .single();
+        
+        if (!existingReferral) {
+          const referralData = {
+            id: uuidv4(),
+            referrer_id: referrer.id,
+            referred_user_id: req.user.id,
+            commission: REFERRAL_UPGRADE_COMMISSION,
+            type: 'upgrade',
+            status: 'pending',
+            payment_id: payment.id,
+            created_at: new Date().toISOString()
+          };
+          
+          await supabaseAdmin
+            .from('referrals')
+            .insert([referralData]);
+        } else if (['pending', 'cancelled'].includes(existingReferral.status)) {
+          // A retry after a rejected or abandoned payment ties the referral to the new payment
+          await supabaseAdmin
+            .from('referrals')
+            .update({
+              status: 'pending',
+              payment_id: payment.id,
+              updated_at: new Date().toISOString()
+            })
+            .eq('id', existingReferral.id);
+        }
+      }
+    }
+    
+    if (stkPush) {
+      return res.json({
+        success: true,
+        message: stkPush.CustomerMessage || 'Check your phone to complete the payment',
+        payment
+      });
+    }
+    
+    // Create notification
+    await createNotification(req.user.id, {
+      title: 'New Upgrade Request',
+      message: `User ${req.user.name} has requested premium upgrade with transaction code: ${transactionCode}`,
+      type: 'payment',
+      data: { paymentId: payment.id, amount: UPGRADE_AMOUNT }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Upgrade request submitted for admin approval',
+      payment
+    });
+    
+  } catch (error) {
+    console.error('Upgrade error:', error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      message: 'Failed to process upgrade', 
+      error: error.message 
+    });
+  }
+});
+
+// M-Pesa STK Push Callback
+app.post('/api/payments/mpesa/callback', async (req, res) => {
+  try {
+    if (!isValidMpesaCallback(req)) {
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+    
+    const callback = req.body?.Body?.stkCallback;
+    
+    if (!callback?.CheckoutRequestID) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback' });
+    }
+    
+    const { data: payment } = await supabaseAdmin
+      .from('payments')
+      .select('*')
+      .eq('checkout_request_id', callback.CheckoutRequestID)
+      .single();
+    
+    // Daraja retries callbacks, so anything already settled is acknowledged as-is
+    if (!payment || payment.status !== 'pending') {
+      return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    }
+    
+    const metadata = {};
+    (callback.CallbackMetadata?.Item || []).forEach(item => {
+      metadata[item.Name] = item.Value;
+    });
+    
+    const paid = callback.ResultCode === 0 && parseFloat(metadata.Amount) >= Math.ceil(payment.amount);
+    
+    const updateData = paid
+      ? {
+          status: 'approved',
+          transaction_code: metadata.MpesaReceiptNumber || payment.transaction_code,
+          mpesa_receipt: metadata.MpesaReceiptNumber,
+          result_desc: callback.ResultDesc,
+          updated_at: new Date().toISOString()
+        }
+      : {
+          status: 'failed',
+          result_desc: callback.ResultCode === 0
+            ? `Amount paid (${metadata.Amount}) is less than ${payment.amount}`
+            : callback.ResultDesc,
+          updated_at: new Date().toISOString()
+        };
+    
+    // Only the request that moves the payment out of pending settles it. Approving
+    // activates the payment in the same transaction (see activate_approved_payment).
+    const { data: updated, error } = await supabaseAdmin
+      .from('payments')
+      .update(updateData)
+      .eq('id', payment.id)
+      .eq('status', 'pending')
+      .select();
+    
+    if (error) throw error;
+    
+    if (updated?.length) {
+      await createNotification(payment.user_id, {
+        title: paid ? 'Payment Received' : 'Payment Failed',
+        message: paid
+          ? `Your M-Pesa payment of ${formatPrice(payment.amount)} (${metadata.MpesaReceiptNumber}) was received`
+          : `Your M-Pesa payment of ${formatPrice(payment.amount)} was not completed: ${updateData.result_desc}`,
+        type: 'payment',
+        data: { paymentId: payment.id, status: updateData.status }
+      });
+    }
+    
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    
+  } catch (error) {
+    console.error('M-Pesa callback error:', error);
+    res.status(500).json({ ResultCode: 1, ResultDesc: 'Callback processing failed' });
+  }
+});
+
+// Get User Payments
+app.get('/api/payments', authenticateToken, async (req, res) => {
+  try {
+    const { data: payments, error } = await supabaseAdmin
+      .from('payments')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      payments: payments || []
+    });
+    
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch payments', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Payment Status
+app.get('/api/payments/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: payment, error } = await supabaseAdmin
+      .from('payments')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+    
+    if (error || !payment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      payment
+    });
+    
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch payment', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// WITHDRAWAL ENDPOINTS
+// ============================================
+
+// Request Withdrawal
+app.post('/api/withdrawals', authenticateToken, requireVerifiedPhone, async (req, res) => {
+  try {
+    const { amount, mpesaNumber } = req.body;
+    
+    const withdrawalAmount = parseFloat(amount);
+    
+    if (!withdrawalAmount || withdrawalAmount < 100) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Minimum withdrawal is KES 100' 
+      });
+    }
+    
+    if (!mpesaNumber || !/^2547\d{8}$/.test(mpesaNumber)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid M-Pesa number required (2547XXXXXXXX)' 
+      });
+    }
+    
+    // Check balance
+    if (withdrawalAmount > req.user.earnings_balance) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Insufficient balance' 
+      });
+    }
+    
+    // Calculate fee
+    const fee = withdrawalAmount * (WITHDRAWAL_FEE_PERCENT / 100);
+    const netAmount = withdrawalAmount - fee;
+    
+    const withdrawalData = {
+      id: uuidv4(),
+      user_id: req.user.id,
+      amount: withdrawalAmount,
+      fee: parseFloat(fee.toFixed(2)),
+      net_amount: parseFloat(netAmount.toFixed(2)),
+      mpesa_number: mpesaNumber,
+      status: 'pending',
+      created_at: new Date().toISOString()
+    };
+    
+    // Hold the amount so pending withdrawals can never add up to more than the balance
+    try {
+      await holdWithdrawal(withdrawalData);
+    } catch (holdError) {
+      if (holdError.status === 400) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Insufficient balance' 
+        });
+      }
+      
+      throw holdError;
+    }
+    
+    const { error } = await supabaseAdmin
+      .from('withdrawals')
+      .insert([withdrawalData]);
+    
+    if (error) {
+      await releaseWithdrawal(withdrawalData, 'Withdrawal request could not be saved');
+      throw error;
+    }
+    
+    // Create notification
+    const notificationData = {
+      id: uuidv4(),
+      user_id: req.user.id,
+      title: 'New Withdrawal Request',
+      message: `User ${req.user.name} has requested withdrawal of KES ${withdrawalAmount} to ${mpesaNumber}`,
+      type: 'withdrawal',
+      data: { 
+        withdrawalId: withdrawalData.id, 
+        amount: withdrawalAmount,
+        mpesaNumber 
+      },
+      created_at: new Date().toISOString()
+    };
+    
+    await supabaseAdmin
+      .from('notifications')
+      .insert([notificationData]);
+    
+    res.json({
+      success: true,
+      message: 'Withdrawal request submitted for admin approval',
+      withdrawal: withdrawalData
+    });
+    
+  } catch (error) {
+    console.error('Withdrawal error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to process withdrawal', 
+      error: error.message 
+    });
+  }
+});
+
+// Get User Withdrawals
+app.get('/api/withdrawals', authenticateToken, async (req, res) => {
+  try {
+    const { data: withdrawals, error } = await supabaseAdmin
+      .from('withdrawals')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      withdrawals: withdrawals || []
+    });
+    
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch withdrawals', 
+      error: error.message 
+    });
+  }
+});
+
+// Cancel Withdrawal
+app.put('/api/withdrawals/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const withdrawalId = req.params.id;
+    
+    const { data: withdrawal } = await supabaseAdmin
+      .from('withdrawals')
+      .select('*')
+      .eq('id', withdrawalId)
+      .eq('user_id', req.user.id)
+      .single();
+    
+    if (!withdrawal) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Withdrawal not found' 
+      });
+    }
+    
+    if (withdrawal.status !== 'pending') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Only pending withdrawals can be cancelled; this one is ${withdrawal.status}` 
+      });
+    }
+    
+    const cancelled = await settleWithdrawal(withdrawal, {
+      from: 'pending',
+      changes: { 
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      },
+      postings: await withdrawalReleasePostings(withdrawal),
+      description: 'Withdrawal released: Cancelled by user',
+      createdBy: req.user.id
+    });
+    
+    if (!cancelled) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Withdrawal was already handled' 
+      });
+    }
+    
+    await createNotification(req.user.id, {
+      title: 'Withdrawal Cancelled',
+      message: `Your withdrawal of ${formatPrice(withdrawal.amount)} was cancelled and returned to your balance`,
+      type: 'withdrawal',
+      data: { withdrawalId, status: 'cancelled' }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Withdrawal cancelled successfully'
+    });
+    
+  } catch (error) {
+    console.error('Cancel withdrawal error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to cancel withdrawal', 
+      error: error.message 
+    });
+  }
+});
+
+// M-Pesa B2C Result Callback
+app.post('/api/withdrawals/mpesa/result', async (req, res) => {
+  try {
+    if (!isValidMpesaCallback(req)) {
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+    
+    const result = req.body?.Result;
+    
+    if (!result?.ConversationID) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback' });
+    }
+    
+    const { data: withdrawal } = await supabaseAdmin
+      .from('withdrawals')
+      .select('*')
+      .eq('conversation_id', result.ConversationID)
+      .single();
+    
+    // Daraja retries callbacks, so anything already settled is acknowledged as-is
+    if (!withdrawal || withdrawal.status !== 'approved') {
+      return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    }
+    
+    if (result.ResultCode === 0) {
+      // The status and the payout entries commit together, so a failed posting
+      // leaves the withdrawal approved for Daraja's retry
+      const processed = await settleWithdrawal(withdrawal, {
+        from: 'approved',
+        changes: {
+          status: 'processed',
+          mpesa_receipt: result.TransactionID,
+          result_desc: result.ResultDesc,
+          processed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        },
+        postings: [
+          { entryType: 'payout', amount: withdrawal.net_amount, from: 'user_held', to: 'mpesa_payouts' },
+          ...(withdrawal.fee > 0 ? [{ entryType: 'fee', amount: withdrawal.fee, from: 'user_held', to: 'withdrawal_fees' }] : [])
+        ],
+        description: `M-Pesa payout ${result.TransactionID} to ${withdrawal.mpesa_number}`
+      });
+      
+      if (processed) {
+        await createNotification(withdrawal.user_id, {
+          title: 'Withdrawal Paid',
+          message: `${formatPrice(withdrawal.net_amount)} has been sent to ${withdrawal.mpesa_number} (${result.TransactionID})`,
+          type: 'withdrawal',
+          data: { withdrawalId: withdrawal.id, status: 'processed' }
+        });
+      }
+    } else {
+      await failWithdrawal(withdrawal, result.ResultDesc || 'M-Pesa payout failed');
+    }
+    
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    
+  } catch (error) {
+    console.error('M-Pesa B2C result error:', error);
+    res.status(500).json({ ResultCode: 1, ResultDesc: 'Callback processing failed' });
+  }
+});
+
+// M-Pesa B2C Queue Timeout Callback
+app.post('/api/withdrawals/mpesa/timeout', async (req, res) => {
+  try {
+    if (!isValidMpesaCallback(req)) {
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+    
+    const result = req.body?.Result || req.body || {};
+    const conversationId = result.ConversationID;
+    const originatorConversationId = result.OriginatorConversationID;
+    
+    if (!conversationId && !originatorConversationId) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback' });
+    }
+    
+    let query = supabaseAdmin
+      .from('withdrawals')
+      .select('*');
+    
+    query = conversationId
+      ? query.eq('conversation_id', conversationId)
+      : query.eq('originator_conversation_id', originatorConversationId);
+    
+    const { data: withdrawal } = await query.single();
+    
+    if (withdrawal && withdrawal.status === 'approved') {
+      await failWithdrawal(withdrawal, 'M-Pesa payout request timed out');
+    }
+    
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    
+  } catch (error) {
+    console.error('M-Pesa B2C timeout error:', error);
+    res.status(500).json({ ResultCode: 1, ResultDesc: 'Callback processing failed' });
+  }
+});
+
+// ============================================
+// WALLET ENDPOINTS
+// ============================================
+
+// Get Wallet Statement
+app.get('/api/wallet/statement', authenticateToken, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const userId = req.query.userId || req.user.id;
+    
+    if (userId !== req.user.id && !hasPermission(req, 'wallets:view')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to view this statement' 
+      });
+    }
+    
+    const { data: user, error: userError } = await supabaseAdmin
+      .from('users')
+      .select('id, name, earnings_balance, earnings_held, earnings_total, earnings_withdrawn')
+      .eq('id', userId)
+      .single();
+    
+    if (userError || !user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+    
+    const { data: entries, error } = await supabaseAdmin
+      .from('ledger_entries')
+      .select('id, transaction_id, account, entry_type, amount, reference_type, reference_id, description, created_at')
+      .eq('user_id', userId)
+      .in('account', ['user_available', 'user_held'])
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+    
+    if (error) throw error;
+    
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    
+    const balances = { user_available: 0, user_held: 0 };
+    let opening = null;
+    const statement = [];
+    const summary = {
+      commissions: 0,
+      withdrawalsHeld: 0,
+      withdrawalsReleased: 0,
+      reversals: 0,
+      payouts: 0,
+      fees: 0
+    };
+    
+    for (const entry of entries || []) {
+      const time = new Date(entry.created_at).getTime();
+      
+      if (fromTime && time < fromTime) {
+        balances[entry.account] += parseFloat(entry.amount);
+        continue;
+      }
+      
+      if (toTime && time > toTime) break;
+      
+      if (!opening) opening = { available: balances.user_available, held: balances.user_held };
+      
+      const amount = parseFloat(entry.amount);
+      balances[entry.account] += amount;
+      
+      if (entry.account === 'user_available') {
+        if (['opening_balance', 'commission'].includes(entry.entry_type)) summary.commissions += amount;
+        if (entry.entry_type === 'withdrawal_release') summary.withdrawalsReleased += amount;
+        if (entry.entry_type === 'reversal') summary.reversals += amount;
+      } else {
+        if (entry.entry_type === 'withdrawal_hold') summary.withdrawalsHeld += amount;
+        if (entry.entry_type === 'payout') summary.payouts -= amount;
+        if (entry.entry_type === 'fee') summary.fees -= amount;
+      }
+      
+      statement.push({
+        ...entry,
+        amount,
+        balance_after: {
+          available: parseFloat(balances.user_available.toFixed(2)),
+          held: parseFloat(balances.user_held.toFixed(2))
+        }
+      });
+    }
+    
+    if (!opening) opening = { available: balances.user_available, held: balances.user_held };
+    
+    // Compare the balances cached on the user with the full ledger history
+    const ledgerBalance = (entries || [])
+      .filter(entry => entry.account === 'user_available')
+      .reduce((sum, entry) => sum + parseFloat(entry.amount), 0);
+    const ledgerHeld = (entries || [])
+      .filter(entry => entry.account === 'user_held')
+      .reduce((sum, entry) => sum + parseFloat(entry.amount), 0);
+    
+    Object.keys(summary).forEach(key => {
+      summary[key] = parseFloat(summary[key].toFixed(2));
+    });
+    
+    res.json({
+      success: true,
+      statement: {
+        userId: user.id,
+        name: user.name,
+        from: from || null,
+        to: to || null,
+        openingBalance: {
+          available: parseFloat(opening.available.toFixed(2)),
+          held: parseFloat(opening.held.toFixed(2))
+        },
+        closingBalance: {
+          available: parseFloat(balances.user_available.toFixed(2)),
+          held: parseFloat(balances.user_held.toFixed(2))
+        },
+        summary,
+        entries: statement
+      },
+      reconciliation: {
+        ledgerBalance: parseFloat(ledgerBalance.toFixed(2)),
+        ledgerHeld: parseFloat(ledgerHeld.toFixed(2)),
+        earningsBalance: parseFloat(user.earnings_balance || 0),
+        earningsHeld: parseFloat(user.earnings_held || 0),
+        earningsTotal: parseFloat(user.earnings_total || 0),
+        earningsWithdrawn: parseFloat(user.earnings_withdrawn || 0),
+        reconciled: Math.abs(ledgerBalance - (user.earnings_balance || 0)) < 0.005 &&
+          Math.abs(ledgerHeld - (user.earnings_held || 0)) < 0.005
+      }
+    });
+    
+  } catch (error) {
+    console.error('Wallet statement error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch wallet statement', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// REFERRAL ENDPOINTS
+// ============================================
+
+// Get Referral Stats
+app.get('/api/referrals/stats', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    // Get referrals
+    const { data: referrals, error: referralsError } = await supabaseAdmin
+      .from('referrals')
+      .select('*')
+      .eq('referrer_id', userId);
+    
+    if (referralsError) throw referralsError;
+    
+    // Calculate stats
+    const totalReferrals = referrals?.length || 0;
+    const pendingReferrals = referrals?.filter(r => r.status === 'pending').length || 0;
+    const approvedReferrals = referrals?.filter(r => r.status === 'approved').length || 0;
+    const totalCommission = referrals
+      ?.filter(r => r.status === 'approved')
+      .reduce((sum, r) => sum + (r.commission || 0), 0) || 0;
+    
+    res.json({
+      success: true,
+      stats: {
+        totalReferrals,
+        pendingReferrals,
+        approvedReferrals,
+        totalCommission
+      },
+      referrals: referrals || []
+    });
+    
+  } catch (error) {
+    console.error('Referral stats error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch referral stats', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// SHOP ENDPOINTS
+// ============================================
+
+// Create/Update Shop
+app.post('/api/shops', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.upgraded) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Premium upgrade required to create shop' 
+      });
+    }
+    
+    const { 
+      name, 
+      description, 
+      category, 
+      logo, 
+      banner, 
+      whatsapp, 
+      location, 
+      business_hours 
+    } = req.body;
+    
+    if (!name || !whatsapp) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Shop name and WhatsApp are required' 
+      });
+    }
+    
+    // Check if shop exists
+    const { data: existingShop } = await supabaseAdmin
+      .from('shops')
+      .select('id, slug, logo, banner')
+      .eq('user_id', req.user.id)
+      .single();
+    
+    if (findForeignImage([logo, banner], 'shops', req.user.id, [existingShop?.logo, existingShop?.banner])) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Logo and banner must be uploaded through /api/uploads/shop-images' 
+      });
+    }
+    
+    const shopData = {
+      id: uuidv4(),
+      user_id: req.user.id,
+      name,
+      description,
+      category,
+      logo,
+      banner,
+      whatsapp,
+      location,
+      business_hours,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    
+    // Slugs stay fixed once set so shared storefront links keep working
+    shopData.slug = existingShop?.slug || await uniqueShopSlug(name);
+    
+    let result;
+    if (existingShop) {
+      // Update
+      const { data, error } = await supabaseAdmin
+        .from('shops')
+        .update({
+          ...shopData,
+          id: existingShop.id,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', existingShop.id)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      result = data;
+    } else {
+      // Create
+      const { data, error } = await supabaseAdmin
+        .from('shops')
+        .insert([shopData])
+        .select()
+        .single();
+      
+      if (error) throw error;
+      result = data;
+    }
+    
+    res.json({
+      success: true,
+      message: existingShop ? 'Shop updated successfully' : 'Shop created successfully',
+      shop: result
+    });
+    
+  } catch (error) {
+    console.error('Shop error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to process shop request', 
+      error: error.message 
+    });
+  }
+});
+
+// Get User Shop
+app.get('/api/shops/me', authenticateToken, async (req, res) => {
+  try {
+    const { data: shop, error } = await supabaseAdmin
+      .from('shops')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+    
+    // Get shop stats
+    if (shop) {
+      const { count: productsCount } = await supabaseAdmin
+        .from('posts')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', req.user.id)
+        .eq('type', 'product')
+        .eq('status', 'active');
+      
+      const { count: servicesCount } = await supabaseAdmin
+        .from('posts')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', req.user.id)
+        .eq('type', 'service')
+        .eq('status', 'active');
+      
+      shop.stats = {
+        productsCount: productsCount || 0,
+        servicesCount: servicesCount || 0,
+        totalSales: shop.total_sales || 0,
+        rating: shop.rating || 0
+      };
+    }
+    
+    res.json({
+      success: true,
+      shop: shop || null
+    });
+    
+  } catch (error) {
+    console.error('Get shop error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch shop', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Shop Products
+app.get('/api/shops/products', authenticateToken, async (req, res) => {
+  try {
+    const { data: products, error } = await supabaseAdmin
+      .from('posts')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .eq('type', 'product')
+      .eq('status', 'active')
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      products: products || []
+    });
+    
+  } catch (error) {
+    console.error('Shop products error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch shop products', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Shop Services
+app.get('/api/shops/services', authenticateToken, async (req, res) => {
+  try {
+    const { data: services, error } = await supabaseAdmin
+      .from('posts')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .eq('type', 'service')
+      .eq('status', 'active')
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      services: services || []
+    });
+    
+  } catch (error) {
+    console.error('Shop services error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch shop services', 
+      error: error.message 
+    });
+  }
+});
+
+// Shop Directory
+app.get('/api/shops', async (req, res) => {
+  try {
+    const { 
+      category, 
+      location, 
+      search, 
+      sortBy = 'rating', 
+      page = 1, 
+      limit = 20 
+    } = req.query;
+    
+    let query = supabaseAdmin
+      .from('shops')
+      .select(`
+        id, slug, name, description, category, logo, banner, location, business_hours, rating, review_count, total_sales, created_at,
+        owner:users!inner(id, name, profile_picture, verified, status)
+      `, { count: 'exact' })
+      .eq('owner.status', 'active');
+    
+    if (category) query = query.eq('category', category);
+    if (location) query = query.ilike('location', `%${location}%`);
+    if (search) query = query.ilike('name', `%${search}%`);
+    
+    const sortOptions = {
+      'rating': { column: 'rating', ascending: false },
+      'sales': { column: 'total_sales', ascending: false },
+      'newest': { column: 'created_at', ascending: false },
+      'name': { column: 'name', ascending: true }
+    };
+    
+    const sort = sortOptions[sortBy] || sortOptions.rating;
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const { data: shops, error, count } = await query
+      .order(sort.column, { ascending: sort.ascending })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      shops: (shops || []).map(({ owner: { status, ...owner }, ...shop }) => ({ ...shop, owner })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Shop directory error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch shops', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Shop Storefront
+app.get('/api/shops/:idOrSlug', async (req, res) => {
+  try {
+    const shop = await findShop(req.params.idOrSlug);
+    
+    if (!shop) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Shop not found' 
+      });
+    }
+    
+    const [
+      { count: productsCount },
+      { count: servicesCount },
+      { count: followersCount }
+    ] = await Promise.all([
+      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
+        .eq('user_id', shop.user_id).eq('type', 'product').eq('status', 'active'),
+      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
+        .eq('user_id', shop.user_id).eq('type', 'service').eq('status', 'active'),
+      supabaseAdmin.from('follows').select('*', { count: 'exact', head: true })
+        .eq('shop_id', shop.id)
+    ]);
+    
+    shop.stats = {
+      productsCount: productsCount || 0,
+      servicesCount: servicesCount || 0,
+      totalSales: shop.total_sales || 0,
+      rating: shop.rating || 0,
+      reviewCount: shop.review_count || 0,
+      followersCount: followersCount || 0
+    };
+    
+    res.json({
+      success: true,
+      shop
+    });
+    
+  } catch (error) {
+    console.error('Get storefront error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch shop', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Storefront Products / Services
+app.get('/api/shops/:idOrSlug/:listing(products|services)', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const type = req.params.listing === 'products' ? 'product' : 'service';
+    
+    const shop = await findShop(req.params.idOrSlug);
+    
+    if (!shop) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Shop not found' 
+      });
+    }
+    
+    await clearExpiredBoosts();
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const { data: posts, error, count } = await supabaseAdmin
+      .from('posts')
+      .select('*', { count: 'exact' })
+      .eq('user_id', shop.user_id)
+      .eq('type', type)
+      .eq('status', 'active')
+      .order('boosted', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      shop: { id: shop.id, slug: shop.slug, name: shop.name },
+      [req.params.listing]: (posts || []).map(withoutContact),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Storefront listings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: `Failed to fetch shop ${req.params.listing}`, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// REVIEW ENDPOINTS
+// ============================================
+
+// Get Reviews for a Shop or Post
+app.get('/api/:targetType(shops|posts)/:targetId/reviews', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const target = await findReviewTarget(req.params.targetType, req.params.targetId);
+    
+    if (!target) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Review target not found' 
+      });
+    }
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const { data: reviews, error, count } = await supabaseAdmin
+      .from('reviews')
+      .select(REVIEW_COLUMNS, { count: 'exact' })
+      .eq(target.shopId ? 'shop_id' : 'post_id', target.shopId || target.postId)
+      .eq('status', 'active')
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      rating: target.rating || 0,
+      reviewCount: target.reviewCount || 0,
+      reviews: reviews || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch reviews', 
+      error: error.message 
+    });
+  }
+});
+
+// Create Review
+app.post('/api/:targetType(shops|posts)/:targetId/reviews', authenticateToken, async (req, res) => {
+  try {
+    const { comment } = req.body;
+    const rating = Number(req.body.rating);
+    
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Rating must be a whole number from 1 to 5' 
+      });
+    }
+    
+    const target = await findReviewTarget(req.params.targetType, req.params.targetId);
+    
+    if (!target) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Review target not found' 
+      });
+    }
+    
+    if (target.postType && !['product', 'service'].includes(target.postType)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Only products and services can be reviewed' 
+      });
+    }
+    
+    if (target.ownerId === req.user.id) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You cannot review your own listing' 
+      });
+    }
+    
+    const { data: review, error } = await supabaseAdmin
+      .from('reviews')
+      .insert([{
+        id: uuidv4(),
+        user_id: req.user.id,
+        shop_id: target.shopId,
+        post_id: target.postId,
+        rating,
+        comment: comment?.trim() || null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select(REVIEW_COLUMNS)
+      .single();
+    
+    // Unique violation: the user has already reviewed this shop or post
+    if (error?.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'You have already reviewed this. Edit your existing review instead.' 
+      });
+    }
+    
+    if (error) throw error;
+    
+    await refreshReviewStats({ shop_id: target.shopId, post_id: target.postId });
+    
+    await createNotification(target.ownerId, {
+      title: 'New Review',
+      message: `${req.user.name} rated ${target.name} ${rating}/5`,
+      type: 'review',
+      data: { reviewId: review.id, shopId: target.shopId, postId: target.postId }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Review posted successfully',
+      review
+    });
+    
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to post review', 
+      error: error.message 
+    });
+  }
+});
+
+// Update Review
+app.put('/api/reviews/:id', authenticateToken, async (req, res) => {
+  try {
+    const { comment } = req.body;
+    const updateData = { updated_at: new Date().toISOString() };
+    
+    if (req.body.rating !== undefined) {
+      const rating = Number(req.body.rating);
+      
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Rating must be a whole number from 1 to 5' 
+        });
+      }
+      
+      updateData.rating = rating;
+    }
+    
+    if (comment !== undefined) updateData.comment = comment?.trim() || null;
+    
+    const { data: review, error } = await supabaseAdmin
+      .from('reviews')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .eq('status', 'active')
+      .select(`${REVIEW_COLUMNS}, shop_id, post_id`)
+      .single();
+    
+    if (error || !review) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Review not found' 
+      });
+    }
+    
+    await refreshReviewStats(review);
+    
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      review
+    });
+    
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update review', 
+      error: error.message 
+    });
+  }
+});
+
+// Delete Review
+app.delete('/api/reviews/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: review, error } = await supabaseAdmin
+      .from('reviews')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      // Reviews removed by a moderator are kept as the moderation record
+      .eq('status', 'active')
+      .select('shop_id, post_id')
+      .single();
+    
+    if (error || !review) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Review not found' 
+      });
+    }
+    
+    await refreshReviewStats(review);
+    
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to delete review', 
+      error: error.message 
+    });
+  }
+});
+
+// Reply to Review (shop or post owner)
+app.post('/api/reviews/:id/reply', authenticateToken, async (req, res) => {
+  try {
+    const reply = req.body.reply?.trim();
+    
+    if (!reply) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reply is required' 
+      });
+    }
+    
+    const { data: review } = await supabaseAdmin
+      .from('reviews')
+      .select(`
+        id, user_id, status,
+        shop:shops(user_id, name),
+        post:posts(user_id, title)
+      `)
+      .eq('id', req.params.id)
+      .single();
+    
+    if (!review || review.status !== 'active') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Review not found' 
+      });
+    }
+    
+    const owner = review.shop?.user_id || review.post?.user_id;
+    
+    if (owner !== req.user.id) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the owner can reply to this review' 
+      });
+    }
+    
+    const { data: updatedReview, error } = await supabaseAdmin
+      .from('reviews')
+      .update({ 
+        reply,
+        replied_at: new Date().toISOString()
+      })
+      .eq('id', review.id)
+      .select(REVIEW_COLUMNS)
+      .single();
+    
+    if (error) throw error;
+    
+    await createNotification(review.user_id, {
+      title: 'Review Reply',
+      message: `${req.user.name} replied to your review of ${review.shop?.name || review.post?.title}`,
+      type: 'review',
+      data: { reviewId: review.id }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Reply posted successfully',
+      review: updatedReview
+    });
+    
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to post reply', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// ORDER ENDPOINTS
+// ============================================
+
+// Place Order
+app.post('/api/orders', authenticateToken, async (req, res) => {
+  try {
+    const { shopId, items, delivery = {}, notes } = req.body;
+    
+    if (typeof shopId !== 'string' || !shopId || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A shop and at least one item are required' 
+      });
+    }
+    
+    if (items.length > ORDER_MAX_ITEMS) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `An order can have at most ${ORDER_MAX_ITEMS} items` 
+      });
+    }
+    
+    if (!delivery || typeof delivery !== 'object' ||
+        ['name', 'phone', 'address'].some(field => typeof delivery[field] !== 'string' || !delivery[field].trim()) ||
+        (delivery.location != null && typeof delivery.location !== 'string')) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Delivery name, phone and address are required' 
+      });
+    }
+    
+    if (!/^2547\d{8}$/.test(delivery.phone)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Delivery phone must be in format: 2547XXXXXXXX' 
+      });
+    }
+    
+    const quantities = {};
+    for (const item of items) {
+      const quantity = Number(item?.quantity ?? 1);
+      
+      if (typeof item?.postId !== 'string' || !item.postId || !Number.isInteger(quantity) || quantity < 1 || quantity > ORDER_MAX_QUANTITY) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Each item needs a postId and a quantity from 1 to ${ORDER_MAX_QUANTITY}` 
+        });
+      }
+      
+      quantities[item.postId] = (quantities[item.postId] || 0) + quantity;
+    }
+    
+    const shop = await findShop(shopId);
+    
+    if (!shop) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Shop not found' 
+      });
+    }
+    
+    if (shop.user_id === req.user.id) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You cannot order from your own shop' 
+      });
+    }
+    
+    const { data: posts, error: postsError } = await supabaseAdmin
+      .from('posts')
+      .select('id, title, price')
+      .in('id', Object.keys(quantities))
+      .eq('user_id', shop.user_id)
+      .eq('type', 'product')
+      .eq('status', 'active');
+    
+    if (postsError || posts.length !== Object.keys(quantities).length) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Some items are not available products from this shop' 
+      });
+    }
+    
+    const unpriced = posts.find(post => post.price === null);
+    if (unpriced) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `"${unpriced.title}" has no fixed price. Contact the seller instead.` 
+      });
+    }
+    
+    const orderId = uuidv4();
+    const orderItems = posts.map(post => ({
+      id: uuidv4(),
+      order_id: orderId,
+      post_id: post.id,
+      title: post.title,
+      price: post.price,
+      quantity: quantities[post.id],
+      subtotal: Math.round(post.price * quantities[post.id] * 100) / 100
+    }));
+    
+    const { data: order, error } = await supabaseAdmin
+      .from('orders')
+      .insert([{
+        id: orderId,
+        buyer_id: req.user.id,
+        seller_id: shop.user_id,
+        shop_id: shop.id,
+        total_amount: orderItems.reduce((sum, item) => sum + item.subtotal, 0),
+        delivery_name: delivery.name,
+        delivery_phone: delivery.phone,
+        delivery_address: delivery.address,
+        delivery_location: delivery.location || null,
+        notes: notes || null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    const { error: itemsError } = await supabaseAdmin
+      .from('order_items')
+      .insert(orderItems);
+    
+    if (itemsError) {
+      await supabaseAdmin.from('orders').delete().eq('id', orderId);
+      throw itemsError;
+    }
+    
+    await createNotification(shop.user_id, {
+      title: 'New Order',
+      message: `${req.user.name} placed an order for ${formatPrice(order.total_amount)} at ${shop.name}`,
+      type: 'order',
+      data: { orderId }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      order: { ...order, items: orderItems }
+    });
+    
+  } catch (error) {
+    console.error('Place order error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to place order', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Buyer Orders / Seller Orders
+app.get('/api/orders/:role(purchases|sales)', authenticateToken, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const isSales = req.params.role === 'sales';
+    
+    let query = supabaseAdmin
+      .from('orders')
+      .select(`
+        *,
+        items:order_items(*),
+        shop:shops(id, slug, name, logo),
+        ${isSales ? 'buyer:users!orders_buyer_id_fkey(id, name, profile_picture)' : 'seller:users!orders_seller_id_fkey(id, name, profile_picture)'}
+      `, { count: 'exact' })
+      .eq(isSales ? 'seller_id' : 'buyer_id', req.user.id);
+    
+    if (status) query = query.eq('status', status);
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const { data: orders, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      orders: orders || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch orders', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Single Order
+app.get('/api/orders/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select(`
+        *,
+        items:order_items(*),
+        shop:shops(id, slug, name, logo),
+        buyer:users!orders_buyer_id_fkey(id, name, profile_picture),
+        seller:users!orders_seller_id_fkey(id, name, profile_picture)
+      `)
+      .eq('id', req.params.id)
+      .single();
+    
+    if (!order || (order.buyer_id !== req.user.id && order.seller_id !== req.user.id && !hasPermission(req, 'orders:view'))) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      order
+    });
+    
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch order', 
+      error: error.message 
+    });
+  }
+});
+
+// Update Order Status
+app.put('/api/orders/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select('*, shop:shops(name)')
+      .eq('id', req.params.id)
+      .single();
+    
+    const party = order?.buyer_id === req.user.id ? 'buyer' : order?.seller_id === req.user.id ? 'seller' : null;
+    
+    if (!order || !party) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+    
+    const allowed = ORDER_TRANSITIONS[order.status]?.[status];
+    
+    if (!allowed) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Cannot move an order from ${order.status} to ${status}` 
+      });
+    }
+    
+    if (!allowed.includes(party)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: `Only the ${allowed.join(' or ')} can mark this order ${status}` 
+      });
+    }
+    
+    const updateData = {
+      status,
+      [`${status}_at`]: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    
+    if (status === 'cancelled') {
+      updateData.cancelled_by = req.user.id;
+      updateData.cancellation_reason = reason || null;
+    }
+    
+    // Only move the order if nobody else has moved it since it was read
+    const { data: updated, error } = await supabaseAdmin
+      .from('orders')
+      .update(updateData)
+      .eq('id', order.id)
+      .eq('status', order.status)
+      .select();
+    
+    if (error) throw error;
+    
+    if (!updated?.length) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Order was updated by someone else. Refresh and try again.' 
       });
     }
     
-    // Validate phone format
-    if (!/^2547\d{8}$/.test(phone)) {
-      return res.status(400).json({ 
+    if (status === 'delivered' && order.shop_id) {
+      await refreshShopSales(order.shop_id);
+    }
+    
+    const shopName = order.shop?.name || 'the shop';
+    const messages = {
+      confirmed: `Your order from ${shopName} has been confirmed`,
+      dispatched: `Your order from ${shopName} is on its way`,
+      delivered: party === 'buyer'
+        ? `${req.user.name} confirmed delivery of their order`
+        : `Your order from ${shopName} has been delivered`,
+      cancelled: party === 'buyer'
+        ? `${req.user.name} cancelled their order${reason ? `. Reason: ${reason}` : ''}`
+        : `Your order from ${shopName} was cancelled${reason ? `. Reason: ${reason}` : ''}`
+    };
+    
+    await createNotification(party === 'buyer' ? order.seller_id : order.buyer_id, {
+      title: `Order ${status.charAt(0).toUpperCase()}${status.slice(1)}`,
+      message: messages[status],
+      type: 'order',
+      data: { orderId: order.id, status }
+    });
+    
+    res.json({
+      success: true,
+      message: `Order ${status}`,
+      order: updated[0]
+    });
+    
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update order', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// MESSAGING ENDPOINTS
+// ============================================
+
+// Get WhatsApp Contact
+// Numbers are kept out of public listings; signed-in users with a verified
+// phone can ask for one post's or shop's number at a time
+app.get('/api/:targetType(posts|shops)/:targetId/contact', authenticateToken, requireVerifiedPhone, async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    
+    let contact = null;
+    if (targetType === 'posts') {
+      if (UUID_PATTERN.test(targetId)) {
+        const { data: post } = await supabaseAdmin
+          .from('posts')
+          .select('id, whatsapp, status')
+          .eq('id', targetId)
+          .single();
+        
+        contact = post?.status === 'active' ? post : null;
+      }
+    } else {
+      const { data: shop } = await supabaseAdmin
+        .from('shops')
+        .select('id, whatsapp')
+        .eq(UUID_PATTERN.test(targetId) ? 'id' : 'slug', targetId.toLowerCase())
+        .single();
+      
+      contact = shop || null;
+    }
+    
+    if (!contact) {
+      return res.status(404).json({ 
         success: false, 
-        message: 'Phone must be in format: 2547XXXXXXXX' 
+        message: `${targetType === 'posts' ? 'Post' : 'Shop'} not found` 
       });
     }
     
-    // Check existing user
-    const { data: existingUser } = await supabaseAdmin
-      .from('users')
-      .select('id')
-      .or(`email.eq.${email},phone.eq.${phone}`)
-      .single();
+    res.json({
+      success: true,
+      whatsapp: contact.whatsapp
+    });
     
-    if (existingUser) {
+  } catch (error) {
+    console.error('Get contact error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch contact', 
+      error: error.message 
+    });
+  }
+});
+
+// Start Conversation
+app.post('/api/conversations', authenticateToken, async (req, res) => {
+  try {
+    const { postId, shopId } = req.body;
+    
+    if (!postId === !shopId) {
       return res.status(400).json({ 
         success: false, 
-        message: 'User with this email or phone already exists' 
+        message: 'Start a conversation from either a post or a shop' 
       });
     }
     
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const passwordHash = await bcrypt.hash(password, salt);
+    let sellerId;
+    let shop = null;
+    if (postId) {
+      const { data: post } = await supabaseAdmin
+        .from('posts')
+        .select('id, user_id, status')
+        .eq('id', postId)
+        .single();
+      
+      sellerId = post?.status === 'active' ? post.user_id : null;
+    } else {
+      shop = await findShop(shopId);
+      sellerId = shop?.user_id;
+    }
     
-    // Generate referral code
-    const userReferralCode = generateReferralCode(name);
+    if (!sellerId) {
+      return res.status(404).json({ 
+        success: false, 
+        message: postId ? 'Post not found' : 'Shop not found' 
+      });
+    }
     
-    // Create user
-    const newUser = {
-      id: uuidv4(),
-      name,
-      email,
-      phone,
-      password_hash: passwordHash,
-      referral_code: userReferralCode,
-      referral_from: referralCode || null,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
+    if (sellerId === req.user.id) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You cannot message yourself' 
+      });
+    }
+    
+    const context = {
+      buyer_id: req.user.id,
+      seller_id: sellerId,
+      post_id: postId || null,
+      shop_id: shop?.id || null
     };
     
-    const { error: userError } = await supabaseAdmin
-      .from('users')
-      .insert([newUser]);
+    const findExisting = () => {
+      let query = supabaseAdmin
+        .from('conversations')
+        .select('*')
+        .eq('buyer_id', context.buyer_id)
+        .eq('seller_id', context.seller_id);
+      
+      query = context.post_id ? query.eq('post_id', context.post_id) : query.eq('shop_id', context.shop_id);
+      return query.maybeSingle();
+    };
     
-    if (userError) throw userError;
+    let { data: conversation } = await findExisting();
+    let created = false;
     
-    // Handle referral
-    if (referralCode) {
-      const { data: referrer } = await supabaseAdmin
-        .from('users')
-        .select('id')
-        .eq('referral_code', referralCode)
+    if (!conversation) {
+      const { data, error } = await supabaseAdmin
+        .from('conversations')
+        .insert([{ id: uuidv4(), ...context, created_at: new Date().toISOString() }])
+        .select()
         .single();
       
-      if (referrer) {
-        const referralData = {
-          id: uuidv4(),
-          referrer_id: referrer.id,
-          referred_user_id: newUser.id,
-          commission: REFERRAL_SUB_COMMISSION,
-          type: 'subscription',
-          status: 'pending',
-          created_at: new Date().toISOString()
-        };
-        
-        await supabaseAdmin
-          .from('referrals')
-          .insert([referralData]);
+      // Another request started the same conversation first
+      if (error?.code === '23505') {
+        ({ data: conversation } = await findExisting());
+      } else if (error) {
+        throw error;
+      } else {
+        conversation = data;
+        created = true;
       }
     }
     
-    // Generate token
-    const token = jwt.sign(
-      { userId: newUser.id, email: newUser.email, role: 'user' },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    res.status(created ? 201 : 200).json({
+      success: true,
+      conversation
+    });
     
-    // Remove sensitive data
-    const { password_hash, ...userWithoutPassword } = newUser;
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to start conversation', 
+      error: error.message 
+    });
+  }
+});
+
+// Get User Conversations
+app.get('/api/conversations', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const { data: conversations, error, count } = await supabaseAdmin
+      .from('conversations')
+      .select(`
+        *,
+        buyer:users!conversations_buyer_id_fkey(id, name, profile_picture, verified),
+        seller:users!conversations_seller_id_fkey(id, name, profile_picture, verified),
+        post:posts(id, title, images, price),
+        shop:shops(id, slug, name, logo)
+      `, { count: 'exact' })
+      .or(`buyer_id.eq.${req.user.id},seller_id.eq.${req.user.id}`)
+      .order('last_message_at', { ascending: false, nullsFirst: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    // Unread messages are the ones sent by the other person that have not been read
+    const { data: unread } = await supabaseAdmin
+      .from('messages')
+      .select('conversation_id, conversation:conversations!inner(buyer_id, seller_id)')
+      .or(`buyer_id.eq.${req.user.id},seller_id.eq.${req.user.id}`, { referencedTable: 'conversation' })
+      .neq('sender_id', req.user.id)
+      .is('read_at', null);
+    
+    const unreadCounts = {};
+    (unread || []).forEach(message => {
+      unreadCounts[message.conversation_id] = (unreadCounts[message.conversation_id] || 0) + 1;
+    });
+    
+    res.json({
+      success: true,
+      conversations: (conversations || []).map(conversation => ({
+        ...conversation,
+        unreadCount: unreadCounts[conversation.id] || 0
+      })),
+      totalUnread: unread?.length || 0,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch conversations', 
+      error: error.message 
+    });
+  }
+});
+
+// Get Conversation Messages
+// Pages back through history with ?before=<created_at of the oldest message loaded>
+app.get('/api/conversations/:id/messages', authenticateToken, async (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    
+    let conversation = await findConversation(req.params.id, req.user.id);
+    const isModerator = !conversation && hasPermission(req, 'conversations:moderate');
+    
+    // Admins may read a conversation once someone has reported it
+    if (isModerator) {
+      const { count } = await supabaseAdmin
+        .from('conversation_reports')
+        .select('*', { count: 'exact', head: true })
+        .eq('conversation_id', req.params.id);
+      
+      if (count) {
+        ({ data: conversation } = await supabaseAdmin
+          .from('conversations')
+          .select('*')
+          .eq('id', req.params.id)
+          .single());
+      }
+    }
+    
+    if (!conversation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Conversation not found' 
+      });
+    }
+    
+    let query = supabaseAdmin
+      .from('messages')
+      .select('*')
+      .eq('conversation_id', conversation.id);
+    
+    if (before) query = query.lt('created_at', before);
+    
+    const { data: messages, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    
+    if (error) throw error;
+    
+    if (!isModerator) {
+      await supabaseAdmin
+        .from('messages')
+        .update({ read_at: new Date().toISOString() })
+        .eq('conversation_id', conversation.id)
+        .neq('sender_id', req.user.id)
+        .is('read_at', null);
+    }
+    
+    res.json({
+      success: true,
+      conversation,
+      messages: (messages || []).reverse(),
+      nextCursor: messages?.length === limit ? messages[0].created_at : null
+    });
+    
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch messages', 
+      error: error.message 
+    });
+  }
+});
+
+// Send Message (text and/or an 'image' file)
+app.post('/api/conversations/:id/messages', authenticateToken, handleUpload(upload.single('image')), async (req, res) => {
+  try {
+    const body = req.body.body?.trim() || null;
+    
+    if (!body && !req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Message text or an image is required' 
+      });
+    }
+    
+    if (body && body.length > MESSAGE_MAX_LENGTH) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Messages can be at most ${MESSAGE_MAX_LENGTH} characters` 
+      });
+    }
+    
+    const conversation = await findConversation(req.params.id, req.user.id);
+    
+    if (!conversation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Conversation not found' 
+      });
+    }
+    
+    if (conversation.blocked_by) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'This conversation has been blocked' 
+      });
+    }
+    
+    const image = req.file ? await storeImage(req.file, 'messages', req.user.id) : null;
+    
+    const { data: message, error } = await supabaseAdmin
+      .from('messages')
+      .insert([{
+        id: uuidv4(),
+        conversation_id: conversation.id,
+        sender_id: req.user.id,
+        body,
+        image_url: image?.url || null,
+        thumbnail_url: image?.thumbnailUrl || null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+    
+    if (error) {
+      if (image) await removeStoredImages([image.url], 'messages', req.user.id);
+      throw error;
+    }
+    
+    const preview = body ? body.slice(0, MESSAGE_PREVIEW_LENGTH) : '📷 Photo';
+    
+    await supabaseAdmin
+      .from('conversations')
+      .update({
+        last_message_preview: preview,
+        last_message_at: message.created_at
+      })
+      .eq('id', conversation.id);
+    
+    const recipientId = conversation.buyer_id === req.user.id ? conversation.seller_id : conversation.buyer_id;
+    
+    await createNotification(recipientId, {
+      title: `New message from ${req.user.name}`,
+      message: preview,
+      type: 'message',
+      data: { conversationId: conversation.id, messageId: message.id }
+    });
     
     res.status(201).json({
       success: true,
-      message: 'Registration successful',
-      user: userWithoutPassword,
-      token
+      message
     });
     
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Send message error:', error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      message: error.status === 400 ? error.message : 'Failed to send message', 
+      error: error.message 
+    });
+  }
+});
+
+// Block / Unblock Conversation
+app.post('/api/conversations/:id/block', authenticateToken, async (req, res) => {
+  try {
+    const blocked = req.body.blocked !== false;
+    
+    const conversation = await findConversation(req.params.id, req.user.id);
+    
+    if (!conversation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Conversation not found' 
+      });
+    }
+    
+    // Only the person who blocked a conversation can unblock it
+    if (!blocked && conversation.blocked_by && conversation.blocked_by !== req.user.id) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the person who blocked this conversation can unblock it' 
+      });
+    }
+    
+    const { data: updated, error } = await supabaseAdmin
+      .from('conversations')
+      .update({
+        blocked_by: blocked ? req.user.id : null,
+        blocked_at: blocked ? new Date().toISOString() : null
+      })
+      .eq('id', conversation.id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: blocked ? 'Conversation blocked' : 'Conversation unblocked',
+      conversation: updated
+    });
+    
+  } catch (error) {
+    console.error('Block conversation error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Registration failed', 
+      message: 'Failed to update conversation', 
       error: error.message 
     });
   }
 });
 
-// Login User
-app.post('/api/auth/login', async (req, res) => {
+// Report Conversation
+app.post('/api/conversations/:id/report', authenticateToken, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const reason = req.body.reason?.trim();
     
-    if (!email || !password) {
+    if (!reason) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Email and password required' 
+        message: 'A reason is required' 
       });
     }
     
-    const { data: user, error } = await supabaseAdmin
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .single();
-    
-    if (error || !user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid credentials' 
-      });
-    }
+    const conversation = await findConversation(req.params.id, req.user.id);
     
-    const isValid = await bcrypt.compare(password, user.password_hash);
-    if (!isValid) {
-      return res.status(401).json({ 
+    if (!conversation) {
+      return res.status(404).json({ 
         success: false, 
-        message: 'Invalid credentials' 
+        message: 'Conversation not found' 
       });
     }
     
-    if (user.status !== 'active') {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Account is suspended' 
-      });
-    }
+    const { data: report, error } = await supabaseAdmin
+      .from('conversation_reports')
+      .insert([{
+        id: uuidv4(),
+        conversation_id: conversation.id,
+        reporter_id: req.user.id,
+        reason,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
     
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    if (error) throw error;
     
-    const { password_hash, ...userWithoutPassword } = user;
+    // Reporting also stops the other person from sending more messages
+    if (!conversation.blocked_by) {
+      await supabaseAdmin
+        .from('conversations')
+        .update({ blocked_by: req.user.id, blocked_at: new Date().toISOString() })
+        .eq('id', conversation.id);
+    }
     
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Login successful',
-      user: userWithoutPassword,
-      token
+      message: 'Conversation reported. Our team will review it.',
+      report
     });
     
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Report conversation error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Login failed', 
+      message: 'Failed to report conversation', 
       error: error.message 
     });
   }
 });
 
-// Get Profile
-app.get('/api/auth/profile', authenticateToken, async (req, res) => {
+// ============================================
+// UPLOAD ENDPOINTS
+// ============================================
+
+// Upload Post Images
+app.post('/api/uploads/post-images', authenticateToken, handleUpload(upload.array('images', 10)), async (req, res) => {
   try {
-    const { data: user, error } = await supabaseAdmin
-      .from('users')
-      .select('*')
-      .eq('id', req.user.id)
-      .single();
+    if (!req.user.subscription_active) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Active subscription required to upload post images' 
+      });
+    }
     
-    if (error || !user) {
-      return res.status(404).json({ 
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'User not found' 
+        message: 'At least one image is required' 
       });
     }
     
-    const { password_hash, ...userWithoutPassword } = user;
+    const images = [];
+    for (const file of req.files) {
+      images.push(await storeImage(file, 'posts', req.user.id));
+    }
     
-    res.json({
+    res.status(201).json({
       success: true,
-      user: userWithoutPassword
+      message: 'Images uploaded successfully',
+      images
     });
     
   } catch (error) {
-    console.error('Profile error:', error);
-    res.status(500).json({ 
+    console.error('Upload post images error:', error);
+    res.status(error.status || 500).json({ 
       success: false, 
-      message: 'Failed to fetch profile', 
+      message: error.status === 400 ? error.message : 'Failed to upload images', 
       error: error.message 
     });
   }
 });
 
-// Update Profile
-app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+// Upload Profile Picture
+app.post('/api/uploads/profile-picture', authenticateToken, handleUpload(upload.single('image')), async (req, res) => {
   try {
-    const { name, phone, location, bio, business_name, profile_picture } = req.body;
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Image is required' 
+      });
+    }
     
-    const updateData = {
-      name,
-      phone,
-      location,
-      bio,
-      business_name,
-      profile_picture,
-      updated_at: new Date().toISOString()
-    };
+    const image = await storeImage(req.file, 'profiles', req.user.id);
     
     const { data: user, error } = await supabaseAdmin
       .from('users')
-      .update(updateData)
+      .update({
+        profile_picture: image.url,
+        updated_at: new Date().toISOString()
+      })
       .eq('id', req.user.id)
       .select()
       .single();
     
     if (error) throw error;
     
-    const { password_hash, ...userWithoutPassword } = user;
+    await removeStoredImages([req.user.profile_picture], 'profiles', req.user.id);
+    
+    const userWithoutPassword = withoutSecrets(user);
     
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: 'Profile picture updated successfully',
+      image,
       user: userWithoutPassword
     });
     
   } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ 
+    console.error('Upload profile picture error:', error);
+    res.status(error.status || 500).json({ 
       success: false, 
-      message: 'Failed to update profile', 
+      message: error.status === 400 ? error.message : 'Failed to upload profile picture', 
       error: error.message 
     });
   }
 });
 
-// Change Password
-app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+// Upload Shop Logo & Banner
+app.post('/api/uploads/shop-images', authenticateToken, handleUpload(upload.fields([
+  { name: 'logo', maxCount: 1 },
+  { name: 'banner', maxCount: 1 }
+])), async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-    
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ 
+    if (!req.user.upgraded) {
+      return res.status(403).json({ 
         success: false, 
-        message: 'Current and new password required' 
+        message: 'Premium upgrade required to create shop' 
       });
     }
     
-    // Verify current password
-    const { data: user } = await supabaseAdmin
-      .from('users')
-      .select('password_hash')
-      .eq('id', req.user.id)
-      .single();
+    const logoFile = req.files?.logo?.[0];
+    const bannerFile = req.files?.banner?.[0];
     
-    const isValid = await bcrypt.compare(currentPassword, user.password_hash);
-    if (!isValid) {
-      return res.status(401).json({ 
+    if (!logoFile && !bannerFile) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Current password is incorrect' 
+        message: 'A logo or banner image is required' 
       });
     }
     
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    const newPasswordHash = await bcrypt.hash(newPassword, salt);
+    const images = {};
+    if (logoFile) images.logo = await storeImage(logoFile, 'shops', req.user.id);
+    if (bannerFile) images.banner = await storeImage(bannerFile, 'shops', req.user.id);
     
-    await supabaseAdmin
-      .from('users')
-      .update({ 
-        password_hash: newPasswordHash,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', req.user.id);
+    // Apply to an existing shop; otherwise the URLs are sent with POST /api/shops
+    const { data: existingShop } = await supabaseAdmin
+      .from('shops')
+      .select('id, logo, banner')
+      .eq('user_id', req.user.id)
+      .single();
+    
+    let shop = null;
+    if (existingShop) {
+      const updateData = { updated_at: new Date().toISOString() };
+      if (images.logo) updateData.logo = images.logo.url;
+      if (images.banner) updateData.banner = images.banner.url;
+      
+      const { data, error } = await supabaseAdmin
+        .from('shops')
+        .update(updateData)
+        .eq('id', existingShop.id)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      shop = data;
+      
+      await removeStoredImages([
+        images.logo && existingShop.logo,
+        images.banner && existingShop.banner
+      ], 'shops', req.user.id);
+    }
     
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Shop images uploaded successfully',
+      images,
+      shop
     });
     
   } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({ 
+    console.error('Upload shop images error:', error);
+    res.status(error.status || 500).json({ 
       success: false, 
-      message: 'Failed to change password', 
+      message: error.status === 400 ? error.message : 'Failed to upload shop images', 
       error: error.message 
     });
   }
 });
 
 // ============================================
-// POST MANAGEMENT ENDPOINTS
+// CV ENDPOINTS
 // ============================================
 
-// Create Post
-app.post('/api/posts', authenticateToken, async (req, res) => {
+// Upload CV
+app.post('/api/cvs', authenticateToken, handleUpload(upload.single('file')), async (req, res) => {
   try {
-    if (!req.user.subscription_active) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Active subscription required to post' 
-      });
-    }
-    
-    const postData = {
-      id: uuidv4(),
-      ...req.body,
-      user_id: req.user.id,
-      status: 'active',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
+    const { 
+      title, 
+      summary, 
+      skills, 
+      experience, 
+      expected_salary, 
+      location, 
+      visibility = 'private' 
+    } = req.body;
     
-    // Validate post type
-    const validTypes = ['product', 'social', 'job', 'service', 'cv'];
-    if (!validTypes.includes(postData.type)) {
+    if (!title || !req.file) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Invalid post type' 
+        message: 'Title and CV file are required' 
       });
     }
     
-    // Type-specific validation
-    if (postData.type === 'product' && !postData.price) {
+    if (!CV_VISIBILITIES.includes(visibility)) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Price is required for products' 
+        message: `Visibility must be one of: ${CV_VISIBILITIES.join(', ')}` 
       });
     }
     
-    if (postData.type === 'service' && (!postData.price_min || !postData.price_max)) {
+    if (req.file.size > CV_MAX_SIZE) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Price range required for services' 
+        message: `CV must be smaller than ${CV_MAX_SIZE / (1024 * 1024)}MB` 
       });
     }
     
-    if (postData.type === 'job' && (!postData.salary_min || !postData.salary_max)) {
+    const fileType = detectCvFileType(req.file);
+    
+    if (!fileType) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Salary range required for jobs' 
+        message: 'CV must be a PDF or DOCX document' 
       });
     }
     
-    const { data: post, error } = await supabaseAdmin
-      .from('posts')
-      .insert([postData])
-      .select()
-      .single();
-    
-    if (error) throw error;
-    
-    // Handle boost if requested (and paid)
-    if (postData.boosted) {
-      if (!req.user.upgraded) {
-        // Regular users need to pay for boost
-        // This would require payment integration
-        postData.boost_expires_at = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-      } else {
-        // Premium users get free boost
-        postData.boost_expires_at = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-      }
-    }
-    
-    res.status(201).json({
-      success: true,
-      message: 'Post created successfully',
-      post
-    });
-    
-  } catch (error) {
-    console.error('Create post error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to create post', 
-      error: error.message 
-    });
-  }
-});
-
-// Get Posts with Filters
-app.get('/api/posts', async (req, res) => {
-  try {
-    const { 
-      type, 
-      category, 
-      search, 
-      minPrice, 
-      maxPrice, 
-      location,
-      page = 1, 
-      limit = 20,
-      sortBy = 'created_at',
-      sortOrder = 'desc',
-      boosted,
-      userId
-    } = req.query;
-    
-    let query = supabase
-      .from('posts')
-      .select(`
-        *,
-        user:users(id, name, email, profile_picture, verified, business_name)
-      `)
-      .eq('status', 'active');
+    const extractedText = await extractCvText(req.file.buffer, fileType);
+    const extracted = parseCvText(extractedText);
     
-    // Apply filters
-    if (type) query = query.eq('type', type);
-    if (category) query = query.eq('category', category);
-    if (location) query = query.ilike('location', `%${location}%`);
-    if (userId) query = query.eq('user_id', userId);
-    if (boosted === 'true') query = query.eq('boosted', true);
+    const cvId = uuidv4();
+    const filePath = `${req.user.id}/${cvId}.${fileType}`;
     
-    if (search) {
-      query = query.or(`
-        title.ilike.%${search}%,
-        description.ilike.%${search}%,
-        content.ilike.%${search}%,
-        company.ilike.%${search}%
-      `);
-    }
+    const { error: storageError } = await supabaseAdmin.storage
+      .from(CV_BUCKET)
+      .upload(filePath, req.file.buffer, { contentType: req.file.mimetype });
     
-    if (minPrice) query = query.gte('price', minPrice);
-    if (maxPrice) query = query.lte('price', maxPrice);
+    if (storageError) throw storageError;
     
-    // Apply sorting
-    const sortOptions = {
-      'newest': { column: 'created_at', ascending: false },
-      'oldest': { column: 'created_at', ascending: true },
-      'price-low': { column: 'price', ascending: true },
-      'price-high': { column: 'price', ascending: false },
-      'popular': { column: 'views', ascending: false }
+    const cvData = {
+      id: cvId,
+      user_id: req.user.id,
+      title,
+      file_path: filePath,
+      file_name: req.file.originalname,
+      file_type: fileType,
+      file_size: req.file.size,
+      extracted_text: extractedText,
+      summary: summary || extracted.summary,
+      skills: skills ? skills.split(',').map(s => s.trim()).filter(Boolean) : extracted.skills,
+      experience: experience || '',
+      expected_salary: expected_salary ? parseFloat(expected_salary) : null,
+      location: location || '',
+      visibility,
+      uploaded_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      status: 'active'
     };
     
-    const sort = sortOptions[sortBy] || sortOptions.newest;
-    query = query.order(sort.column, { ascending: sort.ascending });
+    const { data: cv, error } = await supabaseAdmin
+      .from('cvs')
+      .insert([cvData])
+      .select(CV_COLUMNS)
+      .single();
+    
+    if (error) {
+      await supabaseAdmin.storage.from(CV_BUCKET).remove([filePath]);
+      throw error;
+    }
     
-    // Pagination
-    const from = (parseInt(page) - 1) * parseInt(limit);
-    const to = from + parseInt(limit) - 1;
-    query = query.range(from, to);
+    res.status(201).json({
+      success: true,
+      message: 'CV uploaded successfully',
+      cv: {
+        ...cv,
+        download_url: await cvDownloadUrl(cvData)
+      },
+      extracted: {
+        summary: !summary,
+        skills: !skills
+      }
+    });
     
-    const { data: posts, error, count } = await query;
+  } catch (error) {
+    console.error('CV upload error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to upload CV', 
+      error: error.message 
+    });
+  }
+});
+
+// Get User CVs
+app.get('/api/cvs', authenticateToken, async (req, res) => {
+  try {
+    const { data: cvs, error } = await supabaseAdmin
+      .from('cvs')
+      .select(CV_COLUMNS)
+      .eq('user_id', req.user.id)
+      .eq('status', 'active')
+      .order('uploaded_at', { ascending: false });
     
     if (error) throw error;
     
-    // Get total count
-    let countQuery = supabase
-      .from('posts')
-      .select('*', { count: 'exact', head: true })
-      .eq('status', 'active');
+    res.json({
+      success: true,
+      cvs: cvs || []
+    });
     
-    if (type) countQuery = countQuery.eq('type', type);
-    if (category) countQuery = countQuery.eq('category', category);
+  } catch (error) {
+    console.error('Get CVs error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch CVs', 
+      error: error.message 
+    });
+  }
+});
+
+// Download CV
+app.get('/api/cvs/:id/download', authenticateToken, async (req, res) => {
+  try {
+    const { data: cv } = await supabaseAdmin
+      .from('cvs')
+      .select('id, user_id, file_url, file_path, file_name, status')
+      .eq('id', req.params.id)
+      .single();
     
-    const { count: totalCount } = await countQuery;
+    if (!cv || cv.status !== 'active') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'CV not found' 
+      });
+    }
+    
+    // Employers can download CVs sent to their job posts or shared with them
+    // through an accepted contact request
+    let isEmployer = false;
+    if (cv.user_id !== req.user.id && !hasPermission(req, 'talent:view')) {
+      const [{ count: applications }, { count: contacts }] = await Promise.all([
+        supabaseAdmin
+          .from('job_applications')
+          .select('id, job:posts!inner(user_id)', { count: 'exact', head: true })
+          .eq('cv_id', cv.id)
+          .eq('job.user_id', req.user.id),
+        supabaseAdmin
+          .from('contact_requests')
+          .select('*', { count: 'exact', head: true })
+          .eq('cv_id', cv.id)
+          .eq('employer_id', req.user.id)
+          .eq('status', 'accepted')
+      ]);
+      
+      isEmployer = applications > 0 || contacts > 0;
+    }
+    
+    if (cv.user_id !== req.user.id && !hasPermission(req, 'talent:view') && !isEmployer) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to download this CV' 
+      });
+    }
     
     res.json({
       success: true,
-      posts: posts || [],
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalCount || 0,
-        pages: Math.ceil((totalCount || 0) / parseInt(limit))
-      }
+      url: await cvDownloadUrl(cv),
+      expiresIn: cv.file_path ? CV_DOWNLOAD_TTL_SECONDS : null
     });
     
   } catch (error) {
-    console.error('Get posts error:', error);
+    console.error('Download CV error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch posts', 
+      message: 'Failed to create CV download link', 
       error: error.message 
     });
   }
 });
 
-// Get Single Post
-app.get('/api/posts/:id', async (req, res) => {
+// Update CV Visibility
+app.put('/api/cvs/:id/visibility', authenticateToken, async (req, res) => {
   try {
-    const postId = req.params.id;
+    const { visibility } = req.body;
     
-    // Increment view count
-    await supabaseAdmin
-      .from('posts')
-      .update({ views: supabaseAdmin.rpc('increment', { x: 1 }) })
-      .eq('id', postId);
+    if (!CV_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Visibility must be one of: ${CV_VISIBILITIES.join(', ')}` 
+      });
+    }
     
-    const { data: post, error } = await supabase
-      .from('posts')
-      .select(`
-        *,
-        user:users(*)
-      `)
-      .eq('id', postId)
+    const { data: cv, error } = await supabaseAdmin
+      .from('cvs')
+      .update({ 
+        visibility,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .eq('status', 'active')
+      .select(CV_COLUMNS)
       .single();
     
-    if (error || !post) {
+    if (error || !cv) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Post not found' 
+        message: 'CV not found' 
       });
     }
     
     res.json({
       success: true,
-      post
+      message: 'CV visibility updated',
+      cv
     });
     
   } catch (error) {
-    console.error('Get post error:', error);
+    console.error('Update CV visibility error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch post', 
+      message: 'Failed to update CV visibility', 
       error: error.message 
     });
   }
 });
 
-// Update Post
-app.put('/api/posts/:id', authenticateToken, async (req, res) => {
+// Delete CV
+app.delete('/api/cvs/:id', authenticateToken, async (req, res) => {
   try {
-    const postId = req.params.id;
+    const cvId = req.params.id;
     
-    // Check ownership
-    const { data: existingPost } = await supabaseAdmin
-      .from('posts')
-      .select('user_id')
-      .eq('id', postId)
+    const { data: existingCV } = await supabaseAdmin
+      .from('cvs')
+      .select('user_id, file_path')
+      .eq('id', cvId)
       .single();
     
-    if (!existingPost) {
+    if (!existingCV) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Post not found' 
+        message: 'CV not found' 
       });
     }
     
-    if (existingPost.user_id !== req.user.id && req.user.role !== 'admin') {
+    if (existingCV.user_id !== req.user.id) {
       return res.status(403).json({ 
         success: false, 
-        message: 'Not authorized to update this post' 
+        message: 'Not authorized to delete this CV' 
       });
     }
     
-    const updateData = {
-      ...req.body,
-      updated_at: new Date().toISOString()
-    };
-    
-    const { data: post, error } = await supabaseAdmin
-      .from('posts')
-      .update(updateData)
-      .eq('id', postId)
-      .select()
-      .single();
+    await supabaseAdmin
+      .from('cvs')
+      .update({ 
+        status: 'deleted',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', cvId);
     
-    if (error) throw error;
+    if (existingCV.file_path) {
+      await supabaseAdmin.storage.from(CV_BUCKET).remove([existingCV.file_path]);
+    }
     
     res.json({
       success: true,
-      message: 'Post updated successfully',
-      post
+      message: 'CV deleted successfully'
     });
     
   } catch (error) {
-    console.error('Update post error:', error);
+    console.error('Delete CV error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to update post', 
+      message: 'Failed to delete CV', 
       error: error.message 
     });
   }
 });
 
-// Delete Post
-app.delete('/api/posts/:id', authenticateToken, async (req, res) => {
+// ============================================
+// JOB APPLICATION ENDPOINTS
+// ============================================
+
+// Apply for Job
+app.post('/api/posts/:id/apply', authenticateToken, async (req, res) => {
   try {
-    const postId = req.params.id;
+    const { cvId, coverNote } = req.body;
     
-    const { data: existingPost } = await supabaseAdmin
+    if (!cvId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Choose a CV to apply with' 
+      });
+    }
+    
+    const { data: job } = await supabaseAdmin
       .from('posts')
-      .select('user_id')
-      .eq('id', postId)
+      .select('id, user_id, type, title, company, status')
+      .eq('id', req.params.id)
       .single();
     
-    if (!existingPost) {
+    if (!job || job.type !== 'job' || job.status !== 'active') {
       return res.status(404).json({ 
         success: false, 
-        message: 'Post not found' 
+        message: 'Job not found' 
       });
     }
     
-    if (existingPost.user_id !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ 
+    if (job.user_id === req.user.id) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Not authorized to delete this post' 
+        message: 'You cannot apply to your own job post' 
       });
     }
     
-    await supabaseAdmin
-      .from('posts')
-      .update({ 
-        status: 'deleted',
+    const { data: cv } = await supabaseAdmin
+      .from('cvs')
+      .select('id, user_id, status')
+      .eq('id', cvId)
+      .single();
+    
+    if (!cv || cv.user_id !== req.user.id || cv.status !== 'active') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'CV not found' 
+      });
+    }
+    
+    const { data: application, error } = await supabaseAdmin
+      .from('job_applications')
+      .insert([{
+        id: uuidv4(),
+        post_id: job.id,
+        applicant_id: req.user.id,
+        cv_id: cv.id,
+        cover_note: coverNote?.trim() || null,
+        created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
-      })
-      .eq('id', postId);
+      }])
+      .select()
+      .single();
+    
+    if (error?.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'You have already applied for this job' 
+      });
+    }
+    
+    if (error) throw error;
+    
+    await createNotification(job.user_id, {
+      title: 'New Applicant',
+      message: `${req.user.name} applied for ${job.title}`,
+      type: 'application',
+      data: { applicationId: application.id, postId: job.id }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Application sent successfully',
+      application
+    });
+    
+  } catch (error) {
+    console.error('Apply for job error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to send application', 
+      error: error.message 
+    });
+  }
+});
+
+// Get User Applications
+app.get('/api/applications', authenticateToken, async (req, res) => {
+  try {
+    const { data: applications, error } = await supabaseAdmin
+      .from('job_applications')
+      .select(`
+        id, stage, cover_note, stage_changed_at, created_at,
+        job:posts(id, title, company, location, job_type, status),
+        cv:cvs(id, title)
+      `)
+      .eq('applicant_id', req.user.id)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
     
     res.json({
       success: true,
-      message: 'Post deleted successfully'
+      applications: applications || []
     });
     
   } catch (error) {
-    console.error('Delete post error:', error);
+    console.error('Get applications error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to delete post', 
+      message: 'Failed to fetch applications', 
       error: error.message 
     });
   }
 });
 
-// Like/Unlike Post
-app.post('/api/posts/:id/like', authenticateToken, async (req, res) => {
+// Get Job Applicants (employer)
+app.get('/api/posts/:id/applicants', authenticateToken, async (req, res) => {
   try {
-    const postId = req.params.id;
+    const { stage, page = 1, limit = 20 } = req.query;
     
-    const { data: post } = await supabaseAdmin
+    const { data: job } = await supabaseAdmin
       .from('posts')
-      .select('likes')
-      .eq('id', postId)
+      .select('id, user_id, type, title')
+      .eq('id', req.params.id)
       .single();
     
-    if (!post) {
+    if (!job || job.type !== 'job') {
       return res.status(404).json({ 
         success: false, 
-        message: 'Post not found' 
+        message: 'Job not found' 
       });
     }
     
-    const likes = post.likes || [];
-    const userId = req.user.id;
+    if (job.user_id !== req.user.id && !hasPermission(req, 'talent:view')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to view these applicants' 
+      });
+    }
     
-    let updatedLikes;
-    let liked = false;
+    let query = supabaseAdmin
+      .from('job_applications')
+      .select(`
+        *,
+        applicant:users(id, name, email, phone, profile_picture, verified),
+        cv:cvs(${CV_COLUMNS})
+      `, { count: 'exact' })
+      .eq('post_id', job.id);
     
-    if (likes.includes(userId)) {
-      // Unlike
-      updatedLikes = likes.filter(id => id !== userId);
-    } else {
-      // Like
-      updatedLikes = [...likes, userId];
-      liked = true;
-    }
+    if (stage) query = query.eq('stage', stage);
+    
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
+    
+    const { data: applicants, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) throw error;
+    
+    // Stage totals for the pipeline view
+    const { data: stages } = await supabaseAdmin
+      .from('job_applications')
+      .select('stage')
+      .eq('post_id', job.id);
     
-    await supabaseAdmin
-      .from('posts')
-      .update({ 
-        likes: updatedLikes,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', postId);
+    const stageCounts = Object.fromEntries(APPLICATION_STAGES.map(name => [name, 0]));
+    (stages || []).forEach(row => stageCounts[row.stage]++);
     
     res.json({
       success: true,
-      liked,
-      likes: updatedLikes.length
+      job,
+      applicants: applicants || [],
+      stageCounts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
     });
     
   } catch (error) {
-    console.error('Like post error:', error);
+    console.error('Get applicants error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to like post', 
+      message: 'Failed to fetch applicants', 
       error: error.message 
     });
   }
 });
 
-// ============================================
-// PAYMENT & SUBSCRIPTION ENDPOINTS
-// ============================================
-
-// Request Subscription
-app.post('/api/subscriptions', authenticateToken, async (req, res) => {
+// Update Application Stage & Notes (employer)
+app.put('/api/applications/:id', authenticateToken, async (req, res) => {
   try {
-    const { transactionCode } = req.body;
+    const { stage, notes } = req.body;
     
-    if (!transactionCode) {
+    if (stage !== undefined && !APPLICATION_STAGES.includes(stage)) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Transaction code required' 
+        message: `Stage must be one of: ${APPLICATION_STAGES.join(', ')}` 
       });
     }
     
-    // Check if already subscribed
-    if (req.user.subscription_active) {
-      return res.status(400).json({ 
+    const { data: application } = await supabaseAdmin
+      .from('job_applications')
+      .select('*, job:posts(id, user_id, title, company)')
+      .eq('id', req.params.id)
+      .single();
+    
+    if (!application || application.job?.user_id !== req.user.id) {
+      return res.status(404).json({ 
         success: false, 
-        message: 'Already subscribed' 
+        message: 'Application not found' 
       });
     }
     
-    const paymentData = {
-      id: uuidv4(),
-      user_id: req.user.id,
-      amount: SUB_AMOUNT,
-      type: 'subscription',
-      transaction_code: transactionCode,
-      status: 'pending',
-      created_at: new Date().toISOString()
+    const stageChanged = stage !== undefined && stage !== application.stage;
+    
+    const updateData = {
+      employer_notes: notes,
+      updated_at: new Date().toISOString()
     };
     
-    const { error } = await supabaseAdmin
-      .from('payments')
-      .insert([paymentData]);
+    if (stageChanged) {
+      updateData.stage = stage;
+      updateData.stage_changed_at = new Date().toISOString();
+    }
     
-    if (error) throw error;
+    // Remove undefined values
+    Object.keys(updateData).forEach(key => 
+      updateData[key] === undefined && delete updateData[key]
+    );
     
-    // Create notification for admin
-    const notificationData = {
-      id: uuidv4(),
-      user_id: req.user.id,
-      title: 'New Subscription Request',
-      message: `User ${req.user.name} (${req.user.email}) has requested subscription with transaction code: ${transactionCode}`,
-      type: 'payment',
-      data: { paymentId: paymentData.id, amount: SUB_AMOUNT },
-      created_at: new Date().toISOString()
-    };
+    const { data: updatedApplication, error } = await supabaseAdmin
+      .from('job_applications')
+      .update(updateData)
+      .eq('id', application.id)
+      .select()
+      .single();
     
-    await supabaseAdmin
-      .from('notifications')
-      .insert([notificationData]);
+    if (error) throw error;
+    
+    if (stageChanged) {
+      const stageMessages = {
+        new: 'is back under review',
+        shortlisted: 'has been shortlisted',
+        interview: 'has moved to the interview stage',
+        rejected: 'was not successful this time',
+        hired: 'was successful. Congratulations!'
+      };
+      
+      await createNotification(application.applicant_id, {
+        title: 'Application Update',
+        message: `Your application for ${application.job.title}${application.job.company ? ` at ${application.job.company}` : ''} ${stageMessages[stage]}`,
+        type: 'application',
+        data: { applicationId: application.id, postId: application.job.id, stage }
+      });
+    }
     
     res.json({
       success: true,
-      message: 'Subscription request submitted for admin approval',
-      payment: paymentData
+      message: 'Application updated successfully',
+      application: updatedApplication
     });
     
   } catch (error) {
-    console.error('Subscription error:', error);
+    console.error('Update application error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to process subscription', 
+      message: 'Failed to update application', 
       error: error.message 
     });
   }
 });
 
-// Request Upgrade
-app.post('/api/upgrade', authenticateToken, async (req, res) => {
+// ============================================
+// TALENT DIRECTORY ENDPOINTS
+// ============================================
+
+// Search Talent Directory
+app.get('/api/talent', authenticateToken, async (req, res) => {
   try {
-    const { transactionCode } = req.body;
-    
-    if (!transactionCode) {
-      return res.status(400).json({ 
+    if (!req.user.upgraded) {
+      return res.status(403).json({ 
         success: false, 
-        message: 'Transaction code required' 
+        message: 'Premium upgrade required to search the talent directory' 
       });
     }
     
-    if (req.user.upgraded) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Already upgraded' 
-      });
+    const { 
+      skills, 
+      location, 
+      minSalary, 
+      maxSalary, 
+      experience, 
+      page = 1, 
+      limit = 20 
+    } = req.query;
+    
+    let query = supabaseAdmin
+      .from('cvs')
+      .select(TALENT_COLUMNS, { count: 'exact' })
+      .eq('status', 'active')
+      .in('visibility', await talentVisibilityFor(req.user))
+      .neq('user_id', req.user.id);
+    
+    if (skills) {
+      const skillList = skills.split(',').map(skill => skill.trim()).filter(Boolean);
+      if (skillList.length) query = query.overlaps('skills', skillList);
     }
+    if (location) query = query.ilike('location', `%${location}%`);
+    if (experience) query = query.ilike('experience', `%${experience}%`);
+    if (minSalary) query = query.gte('expected_salary', parseFloat(minSalary));
+    if (maxSalary) query = query.lte('expected_salary', parseFloat(maxSalary));
     
-    const paymentData = {
-      id: uuidv4(),
-      user_id: req.user.id,
-      amount: UPGRADE_AMOUNT,
-      type: 'upgrade',
-      transaction_code: transactionCode,
-      status: 'pending',
-      created_at: new Date().toISOString()
-    };
+    const from = (parseInt(page) - 1) * parseInt(limit);
+    const to = from + parseInt(limit) - 1;
     
-    const { error } = await supabaseAdmin
-      .from('payments')
-      .insert([paymentData]);
+    const { data: candidates, error, count } = await query
+      .order('updated_at', { ascending: false })
+      .range(from, to);
     
     if (error) throw error;
     
-    // Handle referral commission for upgrade
-    if (req.user.referral_from) {
-      const { data: referrer } = await supabaseAdmin
-        .from('users')
-        .select('id')
-        .eq('referral_code', req.user.referral_from)
-        .single();
-      
-      if (referrer) {
-        const referralData = {
-          id: uuidv4(),
-          referrer_id: referrer.id,
-          referred_user_id: req.user.id,
-          commission: REFERRAL_UPGRADE_COMMISSION,
-          type: 'upgrade',
-          status: 'pending',
-          created_at: new Date().toISOString()
-        };
-        
-        await supabaseAdmin
-          .from('referrals')
-          .insert([referralData]);
-      }
-    }
-    
-    // Create notification
-    const notificationData = {
-      id: uuidv4(),
-      user_id: req.user.id,
-      title: 'New Upgrade Request',
-      message: `User ${req.user.name} has requested premium upgrade with transaction code: ${transactionCode}`,
-      type: 'payment',
-      data: { paymentId: paymentData.id, amount: UPGRADE_AMOUNT },
-      created_at: new Date().toISOString()
-    };
+    // Show the employer where each of their contact requests stands
+    const { data: requests } = await supabaseAdmin
+      .from('contact_requests')
+      .select('cv_id, status')
+      .eq('employer_id', req.user.id)
+      .in('cv_id', (candidates || []).map(cv => cv.id));
     
-    await supabaseAdmin
-      .from('notifications')
-      .insert([notificationData]);
+    const requestStatus = Object.fromEntries((requests || []).map(request => [request.cv_id, request.status]));
     
     res.json({
       success: true,
-      message: 'Upgrade request submitted for admin approval',
-      payment: paymentData
+      candidates: (candidates || []).map(cv => ({
+        ...cv,
+        contactStatus: requestStatus[cv.id] || null
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
     });
     
   } catch (error) {
-    console.error('Upgrade error:', error);
+    console.error('Talent search error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to process upgrade', 
+      message: 'Failed to search talent', 
       error: error.message 
     });
   }
 });
 
-// Get User Payments
-app.get('/api/payments', authenticateToken, async (req, res) => {
+// Get Talent Profile
+app.get('/api/talent/:cvId', authenticateToken, async (req, res) => {
   try {
-    const { data: payments, error } = await supabaseAdmin
-      .from('payments')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
+    if (!req.user.upgraded) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Premium upgrade required to view candidates' 
+      });
+    }
     
-    if (error) throw error;
+    const { data: cv } = await supabaseAdmin
+      .from('cvs')
+      .select(`${TALENT_COLUMNS}, user_id, status`)
+      .eq('id', req.params.cvId)
+      .single();
+    
+    const { data: contactRequest } = await supabaseAdmin
+      .from('contact_requests')
+      .select('id, status, created_at, responded_at')
+      .eq('cv_id', req.params.cvId)
+      .eq('employer_id', req.user.id)
+      .maybeSingle();
+    
+    // An accepted request keeps the CV reachable even if it is later hidden
+    const visible = cv?.status === 'active' && (
+      (await talentVisibilityFor(req.user)).includes(cv.visibility) || contactRequest?.status === 'accepted'
+    );
+    
+    if (!visible) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Candidate not found' 
+      });
+    }
+    
+    const { user_id, status, ...profile } = cv;
+    
+    if (contactRequest?.status === 'accepted') {
+      const { data: candidate } = await supabaseAdmin
+        .from('users')
+        .select('email, phone')
+        .eq('id', user_id)
+        .single();
+      
+      profile.contact = candidate;
+    }
     
     res.json({
       success: true,
-      payments: payments || []
+      candidate: profile,
+      contactRequest: contactRequest || null
     });
     
   } catch (error) {
-    console.error('Get payments error:', error);
+    console.error('Get talent profile error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch payments', 
+      message: 'Failed to fetch candidate', 
       error: error.message 
     });
   }
 });
 
-// ============================================
-// WITHDRAWAL ENDPOINTS
-// ============================================
-
-// Request Withdrawal
-app.post('/api/withdrawals', authenticateToken, async (req, res) => {
+// Request Candidate Contact
+app.post('/api/talent/:cvId/contact', authenticateToken, async (req, res) => {
   try {
-    const { amount, mpesaNumber } = req.body;
-    
-    const withdrawalAmount = parseFloat(amount);
-    
-    if (!withdrawalAmount || withdrawalAmount < 100) {
-      return res.status(400).json({ 
+    if (!req.user.upgraded) {
+      return res.status(403).json({ 
         success: false, 
-        message: 'Minimum withdrawal is KES 100' 
+        message: 'Premium upgrade required to contact candidates' 
       });
     }
     
-    if (!mpesaNumber || !/^2547\d{8}$/.test(mpesaNumber)) {
-      return res.status(400).json({ 
+    const { data: cv } = await supabaseAdmin
+      .from('cvs')
+      .select('id, user_id, title, visibility, status')
+      .eq('id', req.params.cvId)
+      .single();
+    
+    if (!cv || cv.status !== 'active' || !(await talentVisibilityFor(req.user)).includes(cv.visibility)) {
+      return res.status(404).json({ 
         success: false, 
-        message: 'Valid M-Pesa number required (2547XXXXXXXX)' 
+        message: 'Candidate not found' 
       });
     }
     
-    // Check balance
-    if (withdrawalAmount > req.user.earnings_balance) {
+    if (cv.user_id === req.user.id) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Insufficient balance' 
+        message: 'You cannot contact yourself' 
       });
     }
     
-    // Calculate fee
-    const fee = withdrawalAmount * (WITHDRAWAL_FEE_PERCENT / 100);
-    const netAmount = withdrawalAmount - fee;
-    
-    const withdrawalData = {
-      id: uuidv4(),
-      user_id: req.user.id,
-      amount: withdrawalAmount,
-      fee: parseFloat(fee.toFixed(2)),
-      net_amount: parseFloat(netAmount.toFixed(2)),
-      mpesa_number: mpesaNumber,
-      status: 'pending',
-      created_at: new Date().toISOString()
-    };
+    const { data: contactRequest, error } = await supabaseAdmin
+      .from('contact_requests')
+      .insert([{
+        id: uuidv4(),
+        cv_id: cv.id,
+        employer_id: req.user.id,
+        candidate_id: cv.user_id,
+        message: req.body.message?.trim() || null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
     
-    const { error } = await supabaseAdmin
-      .from('withdrawals')
-      .insert([withdrawalData]);
+    if (error?.code === '23505') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'You have already asked to contact this candidate' 
+      });
+    }
     
     if (error) throw error;
     
-    // Create notification
-    const notificationData = {
-      id: uuidv4(),
-      user_id: req.user.id,
-      title: 'New Withdrawal Request',
-      message: `User ${req.user.name} has requested withdrawal of KES ${withdrawalAmount} to ${mpesaNumber}`,
-      type: 'withdrawal',
-      data: { 
-        withdrawalId: withdrawalData.id, 
-        amount: withdrawalAmount,
-        mpesaNumber 
-      },
-      created_at: new Date().toISOString()
-    };
-    
-    await supabaseAdmin
-      .from('notifications')
-      .insert([notificationData]);
+    await createNotification(cv.user_id, {
+      title: 'Contact Request',
+      message: `${req.user.business_name || req.user.name} would like to contact you about your CV "${cv.title}"`,
+      type: 'contact_request',
+      data: { contactRequestId: contactRequest.id, cvId: cv.id }
+    });
     
-    res.json({
-      success: true,
-      message: 'Withdrawal request submitted for admin approval',
-      withdrawal: withdrawalData
+    res.status(201).json({
+      success: true,
+      message: 'Contact request sent',
+      contactRequest
     });
     
   } catch (error) {
-    console.error('Withdrawal error:', error);
+    console.error('Contact request error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to process withdrawal', 
+      message: 'Failed to send contact request', 
       error: error.message 
     });
   }
 });
 
-// Get User Withdrawals
-app.get('/api/withdrawals', authenticateToken, async (req, res) => {
+// Get Contact Requests (received as a candidate or sent as an employer)
+app.get('/api/contact-requests', authenticateToken, async (req, res) => {
   try {
-    const { data: withdrawals, error } = await supabaseAdmin
-      .from('withdrawals')
-      .select('*')
-      .eq('user_id', req.user.id)
+    const sent = req.query.role === 'sent';
+    
+    const { data: requests, error } = await supabaseAdmin
+      .from('contact_requests')
+      .select(`
+        *,
+        cv:cvs(id, title),
+        ${sent ? 'candidate:users!contact_requests_candidate_id_fkey(id, name, profile_picture)' : 'employer:users!contact_requests_employer_id_fkey(id, name, business_name, profile_picture, verified)'}
+      `)
+      .eq(sent ? 'employer_id' : 'candidate_id', req.user.id)
       .order('created_at', { ascending: false });
     
     if (error) throw error;
     
     res.json({
       success: true,
-      withdrawals: withdrawals || []
+      requests: requests || []
     });
     
   } catch (error) {
-    console.error('Get withdrawals error:', error);
+    console.error('Get contact requests error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch withdrawals', 
+      message: 'Failed to fetch contact requests', 
       error: error.message 
     });
   }
 });
 
-// ============================================
-// REFERRAL ENDPOINTS
-// ============================================
-
-// Get Referral Stats
-app.get('/api/referrals/stats', authenticateToken, async (req, res) => {
+// Respond to Contact Request (candidate)
+app.put('/api/contact-requests/:id', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { status } = req.body;
     
-    // Get referrals
-    const { data: referrals, error: referralsError } = await supabaseAdmin
-      .from('referrals')
-      .select('*')
-      .eq('referrer_id', userId);
+    if (!['accepted', 'declined'].includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Status must be accepted or declined' 
+      });
+    }
     
-    if (referralsError) throw referralsError;
+    const { data: updated, error } = await supabaseAdmin
+      .from('contact_requests')
+      .update({
+        status,
+        responded_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('candidate_id', req.user.id)
+      .eq('status', 'pending')
+      .select('*, cv:cvs(title)');
     
-    // Calculate stats
-    const totalReferrals = referrals?.length || 0;
-    const pendingReferrals = referrals?.filter(r => r.status === 'pending').length || 0;
-    const approvedReferrals = referrals?.filter(r => r.status === 'approved').length || 0;
-    const totalCommission = referrals
-      ?.filter(r => r.status === 'approved')
-      .reduce((sum, r) => sum + (r.commission || 0), 0) || 0;
+    if (error) throw error;
+    
+    if (!updated?.length) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Pending contact request not found' 
+      });
+    }
+    
+    await createNotification(updated[0].employer_id, {
+      title: status === 'accepted' ? 'Contact Request Accepted' : 'Contact Request Declined',
+      message: status === 'accepted'
+        ? `${req.user.name} shared their contact details with you`
+        : `${req.user.name} declined your contact request`,
+      type: 'contact_request',
+      data: { contactRequestId: updated[0].id, cvId: updated[0].cv_id }
+    });
     
     res.json({
       success: true,
-      stats: {
-        totalReferrals,
-        pendingReferrals,
-        approvedReferrals,
-        totalCommission
-      },
-      referrals: referrals || []
+      message: `Contact request ${status}`,
+      contactRequest: updated[0]
     });
     
   } catch (error) {
-    console.error('Referral stats error:', error);
+    console.error('Respond to contact request error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch referral stats', 
+      message: 'Failed to respond to contact request', 
       error: error.message 
     });
   }
 });
 
 // ============================================
-// SHOP ENDPOINTS
+// STATISTICS ENDPOINTS
 // ============================================
 
-// Create/Update Shop
-app.post('/api/shops', authenticateToken, async (req, res) => {
+// Platform Stats
+app.get('/api/stats', async (req, res) => {
   try {
-    if (!req.user.upgraded) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Premium upgrade required to create shop' 
-      });
-    }
-    
-    const { 
-      name, 
-      description, 
-      category, 
-      logo, 
-      banner, 
-      whatsapp, 
-      location, 
-      business_hours 
-    } = req.body;
-    
-    if (!name || !whatsapp) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Shop name and WhatsApp are required' 
-      });
-    }
-    
-    const shopData = {
-      id: uuidv4(),
-      user_id: req.user.id,
-      name,
-      description,
-      category,
-      logo,
-      banner,
-      whatsapp,
-      location,
-      business_hours,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-    
-    // Check if shop exists
-    const { data: existingShop } = await supabaseAdmin
-      .from('shops')
-      .select('id')
-      .eq('user_id', req.user.id)
-      .single();
+    const [
+      { count: totalUsers },
+      { count: totalPosts },
+      { count: activePosts },
+      { data: earningsData },
+      { count: pendingPayments }
+    ] = await Promise.all([
+      supabaseAdmin.from('users').select('*', { count: 'exact', head: true }).eq('status', 'active'),
+      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true }),
+      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true }).eq('status', 'active'),
+      supabaseAdmin.from('withdrawals').select('amount').in('status', ['approved', 'processed']),
+      supabaseAdmin.from('payments').select('*', { count: 'exact', head: true }).eq('status', 'pending')
+    ]);
     
-    let result;
-    if (existingShop) {
-      // Update
-      const { data, error } = await supabaseAdmin
-        .from('shops')
-        .update({
-          ...shopData,
-          id: existingShop.id,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', existingShop.id)
-        .select()
-        .single();
-      
-      if (error) throw error;
-      result = data;
-    } else {
-      // Create
-      const { data, error } = await supabaseAdmin
-        .from('shops')
-        .insert([shopData])
-        .select()
-        .single();
-      
-      if (error) throw error;
-      result = data;
-    }
+    const totalEarnings = earningsData?.reduce((sum, item) => sum + (item.amount || 0), 0) || 0;
     
     res.json({
       success: true,
-      message: existingShop ? 'Shop updated successfully' : 'Shop created successfully',
-      shop: result
+      stats: {
+        totalUsers: totalUsers || 0,
+        totalPosts: totalPosts || 0,
+        activePosts: activePosts || 0,
+        totalEarnings,
+        pendingPayments: pendingPayments || 0,
+        activeTransactions: pendingPayments || 0
+      }
     });
     
   } catch (error) {
-    console.error('Shop error:', error);
+    console.error('Stats error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to process shop request', 
+      message: 'Failed to fetch statistics', 
       error: error.message 
     });
   }
 });
 
-// Get User Shop
-app.get('/api/shops/me', authenticateToken, async (req, res) => {
+// User Dashboard Stats
+app.get('/api/users/stats', authenticateToken, async (req, res) => {
   try {
-    const { data: shop, error } = await supabaseAdmin
-      .from('shops')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .single();
+    const userId = req.user.id;
     
-    if (error && error.code !== 'PGRST116') {
-      throw error;
-    }
+    const [
+      { count: productsCount },
+      { count: servicesCount },
+      { count: jobsCount },
+      { count: socialCount },
+      { count: totalReferrals },
+      { data: referralsData },
+      { data: withdrawalsData },
+      { data: postsData }
+    ] = await Promise.all([
+      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
+        .eq('user_id', userId).eq('type', 'product').eq('status', 'active'),
+      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
+        .eq('user_id', userId).eq('type', 'service').eq('status', 'active'),
+      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
+        .eq('user_id', userId).eq('type', 'job').eq('status', 'active'),
+      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
+        .eq('user_id', userId).eq('type', 'social').eq('status', 'active'),
+      supabaseAdmin.from('referrals').select('*', { count: 'exact', head: true })
+        .eq('referrer_id', userId).eq('status', 'approved'),
+      supabaseAdmin.from('referrals').select('commission')
+        .eq('referrer_id', userId).eq('status', 'approved'),
+      supabaseAdmin.from('withdrawals').select('amount')
+        .eq('user_id', userId).in('status', ['approved', 'processed']),
+      supabaseAdmin.from('posts').select('views')
+        .eq('user_id', userId)
+    ]);
     
-    // Get shop stats
-    if (shop) {
-      const { count: productsCount } = await supabaseAdmin
-        .from('posts')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', req.user.id)
-        .eq('type', 'product')
-        .eq('status', 'active');
-      
-      const { count: servicesCount } = await supabaseAdmin
-        .from('posts')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', req.user.id)
-        .eq('type', 'service')
-        .eq('status', 'active');
-      
-      shop.stats = {
+    const totalViews = postsData?.reduce((sum, post) => sum + (post.views || 0), 0) || 0;
+    const totalEarned = referralsData?.reduce((sum, r) => sum + (r.commission || 0), 0) || 0;
+    const totalWithdrawn = withdrawalsData?.reduce((sum, w) => sum + (w.amount || 0), 0) || 0;
+    const availableBalance = req.user.earnings_balance || 0;
+    
+    res.json({
+      success: true,
+      stats: {
         productsCount: productsCount || 0,
         servicesCount: servicesCount || 0,
-        totalSales: shop.total_sales || 0,
-        rating: shop.rating || 0
-      };
-    }
+        jobsCount: jobsCount || 0,
+        socialCount: socialCount || 0,
+        totalViews,
+        totalReferrals: totalReferrals || 0,
+        totalEarned,
+        totalWithdrawn,
+        availableBalance
+      }
+    });
+    
+  } catch (error) {
+    console.error('User stats error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch user statistics', 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// ADMIN ENDPOINTS
+// ============================================
+
+// Admin Dashboard Stats
+app.get('/api/admin/stats', authenticateToken, requirePermission('stats:view'), async (req, res) => {
+  try {
+    const [
+      { count: totalUsers },
+      { count: totalPosts },
+      { count: pendingApprovals },
+      { data: revenueData },
+      { count: activeSubscriptions },
+      { count: pendingWithdrawals }
+    ] = await Promise.all([
+      supabaseAdmin.from('users').select('*', { count: 'exact', head: true }),
+      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true }).eq('status', 'active'),
+      supabaseAdmin.from('payments').select('*', { count: 'exact', head: true }).eq('status', 'pending'),
+      supabaseAdmin.from('payments').select('amount').eq('status', 'approved'),
+      supabaseAdmin.from('users').select('*', { count: 'exact', head: true }).eq('subscription_active', true),
+      supabaseAdmin.from('withdrawals').select('*', { count: 'exact', head: true }).eq('status', 'pending')
+    ]);
+    
+    const totalRevenue = revenueData?.reduce((sum, p) => sum + (p.amount || 0), 0) || 0;
     
     res.json({
       success: true,
-      shop: shop || null
+      stats: {
+        totalUsers: totalUsers || 0,
+        totalPosts: totalPosts || 0,
+        pendingApprovals: pendingApprovals || 0,
+        totalRevenue,
+        activeSubscriptions: activeSubscriptions || 0,
+        pendingWithdrawals: pendingWithdrawals || 0
+      }
     });
     
   } catch (error) {
-    console.error('Get shop error:', error);
+    console.error('Admin stats error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch shop', 
+      message: 'Failed to fetch admin statistics', 
       error: error.message 
     });
   }
 });
 
-// Get Shop Products
-app.get('/api/shops/products', authenticateToken, async (req, res) => {
+// Get Pending Payments
+app.get('/api/admin/payments/pending', authenticateToken, requirePermission('payments:view'), async (req, res) => {
   try {
-    const { data: products, error } = await supabaseAdmin
-      .from('posts')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .eq('type', 'product')
-      .eq('status', 'active')
+    const { data: payments, error } = await supabaseAdmin
+      .from('payments')
+      .select(`
+        *,
+        user:users(name, email, phone)
+      `)
+      .eq('status', 'pending')
       .order('created_at', { ascending: false });
     
     if (error) throw error;
     
     res.json({
       success: true,
-      products: products || []
+      payments: payments || []
     });
     
   } catch (error) {
-    console.error('Shop products error:', error);
+    console.error('Pending payments error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch shop products', 
+      message: 'Failed to fetch pending payments', 
       error: error.message 
     });
   }
 });
 
-// Get Shop Services
-app.get('/api/shops/services', authenticateToken, async (req, res) => {
+// Approve Payment
+app.put('/api/admin/payments/:id/approve', authenticateToken, requirePermission('payments:approve'), requireFreshTwoFactor, async (req, res) => {
   try {
-    const { data: services, error } = await supabaseAdmin
-      .from('posts')
+    const paymentId = req.params.id;
+    
+    // Get payment
+    const { data: payment, error: paymentError } = await supabaseAdmin
+      .from('payments')
       .select('*')
-      .eq('user_id', req.user.id)
-      .eq('type', 'service')
-      .eq('status', 'active')
-      .order('created_at', { ascending: false });
+      .eq('id', paymentId)
+      .single();
     
-    if (error) throw error;
+    if (paymentError || !payment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment not found' 
+      });
+    }
+    
+    if (payment.status !== 'pending') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Payment is already ${payment.status}` 
+      });
+    }
+    
+    // Approving activates the payment in the same transaction (see
+    // activate_approved_payment); the pending guard stops a double click from granting twice
+    const approved = await auditedUpdate(req, {
+      table: 'payments',
+      id: paymentId,
+      changes: { status: 'approved', updated_at: new Date().toISOString() },
+      expected: { status: 'pending' },
+      action: 'payment.approve',
+      targetType: 'payment',
+      metadata: { userId: payment.user_id, type: payment.type, amount: payment.amount, transactionCode: payment.transaction_code }
+    });
+    
+    if (!approved) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Payment was already handled' 
+      });
+    }
     
     res.json({
       success: true,
-      services: services || []
+      message: 'Payment approved successfully'
     });
     
   } catch (error) {
-    console.error('Shop services error:', error);
+    console.error('Approve payment error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch shop services', 
+      message: 'Failed to approve payment', 
       error: error.message 
     });
   }
 });
 
-// ============================================
-// CV ENDPOINTS
-// ============================================
-
-// Upload CV
-app.post('/api/cvs', authenticateToken, async (req, res) => {
+// Reject Payment
+app.put('/api/admin/payments/:id/reject', authenticateToken, requirePermission('payments:approve'), async (req, res) => {
   try {
-    const { 
-      title, 
-      file_url, 
-      summary, 
-      skills, 
-      experience, 
-      expected_salary, 
-      location 
-    } = req.body;
+    const paymentId = req.params.id;
+    const { reason } = req.body;
     
-    if (!title || !file_url) {
+    if (!reason || !reason.trim()) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Title and file URL are required' 
+        message: 'Rejection reason is required' 
       });
     }
     
-    const cvData = {
-      id: uuidv4(),
-      user_id: req.user.id,
-      title,
-      file_url,
-      summary: summary || '',
-      skills: skills ? skills.split(',').map(s => s.trim()) : [],
-      experience: experience || '',
-      expected_salary: expected_salary ? parseFloat(expected_salary) : null,
-      location: location || '',
-      uploaded_at: new Date().toISOString(),
-      status: 'active'
-    };
-    
-    const { data: cv, error } = await supabaseAdmin
-      .from('cvs')
-      .insert([cvData])
-      .select()
+    const { data: payment, error: paymentError } = await supabaseAdmin
+      .from('payments')
+      .select('*')
+      .eq('id', paymentId)
       .single();
     
-    if (error) throw error;
+    if (paymentError || !payment) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment not found' 
+      });
+    }
     
-    res.status(201).json({
+    if (payment.status !== 'pending') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Payment is already ${payment.status}` 
+      });
+    }
+    
+    const rejected = await auditedUpdate(req, {
+      table: 'payments',
+      id: paymentId,
+      changes: { status: 'failed', rejection_reason: reason.trim(), updated_at: new Date().toISOString() },
+      expected: { status: 'pending' },
+      action: 'payment.reject',
+      targetType: 'payment',
+      reason: reason.trim(),
+      metadata: { userId: payment.user_id, type: payment.type, amount: payment.amount, transactionCode: payment.transaction_code }
+    });
+    
+    if (!rejected) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Payment was already handled' 
+      });
+    }
+    
+    // Cancel any commission that was waiting on this payment
+    await supabaseAdmin
+      .from('referrals')
+      .update({
+        status: 'cancelled',
+        updated_at: new Date().toISOString()
+      })
+      .eq('payment_id', paymentId)
+      .eq('status', 'pending');
+    
+    await createNotification(payment.user_id, {
+      title: 'Payment Rejected',
+      message: `Your ${payment.type} payment of ${formatPrice(payment.amount)} (${payment.transaction_code}) was rejected: ${reason.trim()}`,
+      type: 'payment',
+      data: { paymentId, status: 'failed', reason: reason.trim() }
+    });
+    
+    res.json({
       success: true,
-      message: 'CV uploaded successfully',
-      cv
+      message: 'Payment rejected successfully'
     });
     
   } catch (error) {
-    console.error('CV upload error:', error);
+    console.error('Reject payment error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to upload CV', 
+      message: 'Failed to reject payment', 
       error: error.message 
     });
   }
 });
 
-// Get User CVs
-app.get('/api/cvs', authenticateToken, async (req, res) => {
+// Get Pending Withdrawals
+app.get('/api/admin/withdrawals/pending', authenticateToken, requirePermission('withdrawals:view'), async (req, res) => {
   try {
-    const { data: cvs, error } = await supabaseAdmin
-      .from('cvs')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .eq('status', 'active')
-      .order('uploaded_at', { ascending: false });
+    const { data: withdrawals, error } = await supabaseAdmin
+      .from('withdrawals')
+      .select(`
+        *,
+        user:users(name, email, phone)
+      `)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
     
     if (error) throw error;
     
     res.json({
       success: true,
-      cvs: cvs || []
+      withdrawals: withdrawals || []
     });
     
   } catch (error) {
-    console.error('Get CVs error:', error);
+    console.error('Pending withdrawals error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch CVs', 
+      message: 'Failed to fetch pending withdrawals', 
       error: error.message 
     });
   }
 });
 
-// Delete CV
-app.delete('/api/cvs/:id', authenticateToken, async (req, res) => {
+// Approve Withdrawal
+app.put('/api/admin/withdrawals/:id/approve', authenticateToken, requirePermission('withdrawals:approve'), requireFreshTwoFactor, async (req, res) => {
   try {
-    const cvId = req.params.id;
+    const withdrawalId = req.params.id;
     
-    const { data: existingCV } = await supabaseAdmin
-      .from('cvs')
-      .select('user_id')
-      .eq('id', cvId)
+    // Get withdrawal
+    const { data: withdrawal, error: withdrawalError } = await supabaseAdmin
+      .from('withdrawals')
+      .select('*')
+      .eq('id', withdrawalId)
       .single();
     
-    if (!existingCV) {
+    if (withdrawalError || !withdrawal) {
       return res.status(404).json({ 
         success: false, 
-        message: 'CV not found' 
+        message: 'Withdrawal not found' 
       });
     }
     
-    if (existingCV.user_id !== req.user.id) {
-      return res.status(403).json({ 
+    if (withdrawal.status !== 'pending') {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Not authorized to delete this CV' 
+        message: `Withdrawal is already ${withdrawal.status}` 
       });
     }
     
-    await supabaseAdmin
-      .from('cvs')
-      .update({ 
-        status: 'deleted',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', cvId);
-    
-    res.json({
-      success: true,
-      message: 'CV deleted successfully'
+    // Update withdrawal status; the audit entry is written with it, so a failed
+    // payout still shows who approved it
+    const approved = await auditedUpdate(req, {
+      table: 'withdrawals',
+      id: withdrawalId,
+      changes: { status: 'approved', approved_at: new Date().toISOString(), updated_at: new Date().toISOString() },
+      expected: { status: 'pending' },
+      action: 'withdrawal.approve',
+      targetType: 'withdrawal',
+      metadata: { userId: withdrawal.user_id, amount: withdrawal.amount, netAmount: withdrawal.net_amount, mpesaNumber: withdrawal.mpesa_number }
     });
     
-  } catch (error) {
-    console.error('Delete CV error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to delete CV', 
-      error: error.message 
-    });
-  }
-});
-
-// ============================================
-// STATISTICS ENDPOINTS
-// ============================================
-
-// Platform Stats
-app.get('/api/stats', async (req, res) => {
-  try {
-    const [
-      { count: totalUsers },
-      { count: totalPosts },
-      { count: activePosts },
-      { data: earningsData },
-      { count: pendingPayments }
-    ] = await Promise.all([
-      supabaseAdmin.from('users').select('*', { count: 'exact', head: true }).eq('status', 'active'),
-      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true }),
-      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true }).eq('status', 'active'),
-      supabaseAdmin.from('withdrawals').select('amount').eq('status', 'approved'),
-      supabaseAdmin.from('payments').select('*', { count: 'exact', head: true }).eq('status', 'pending')
-    ]);
+    if (!approved) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Withdrawal was already handled' 
+      });
+    }
     
-    const totalEarnings = earningsData?.reduce((sum, item) => sum + (item.amount || 0), 0) || 0;
+    // Withdrawals requested before holds existed are held now, until M-Pesa confirms the payout
+    try {
+      if (!(await hasWithdrawalHold(withdrawal.id))) {
+        await holdWithdrawal(withdrawal, req.user.id);
+      }
+    } catch (holdError) {
+      await auditedUpdate(req, {
+        table: 'withdrawals',
+        id: withdrawalId,
+        changes: { status: 'pending', approved_at: null, updated_at: new Date().toISOString() },
+        action: 'withdrawal.approve_reverted',
+        targetType: 'withdrawal',
+        reason: holdError.message
+      });
+      
+      if (holdError.status === 400) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'User has insufficient balance' 
+        });
+      }
+      
+      throw holdError;
+    }
+    
+    // Send the net amount to the user; the result arrives on the B2C callbacks
+    try {
+      const payout = await initiateB2CPayment({
+        phone: withdrawal.mpesa_number,
+        amount: withdrawal.net_amount,
+        remarks: `SOKOPLUS withdrawal ${withdrawal.id}`,
+        occasion: 'Withdrawal'
+      });
+      
+      await supabaseAdmin
+        .from('withdrawals')
+        .update({
+          conversation_id: payout.ConversationID,
+          originator_conversation_id: payout.OriginatorConversationID,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', withdrawalId);
+    } catch (payoutError) {
+      await failWithdrawal(withdrawal, payoutError.message);
+      
+      return res.status(502).json({ 
+        success: false, 
+        message: 'M-Pesa payout could not be started; the amount was refunded', 
+        error: payoutError.message 
+      });
+    }
     
     res.json({
       success: true,
-      stats: {
-        totalUsers: totalUsers || 0,
-        totalPosts: totalPosts || 0,
-        activePosts: activePosts || 0,
-        totalEarnings,
-        pendingPayments: pendingPayments || 0,
-        activeTransactions: pendingPayments || 0
-      }
+      message: 'Withdrawal approved; M-Pesa payout initiated'
     });
     
   } catch (error) {
-    console.error('Stats error:', error);
+    console.error('Approve withdrawal error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch statistics', 
+      message: 'Failed to approve withdrawal', 
       error: error.message 
     });
   }
 });
 
-// User Dashboard Stats
-app.get('/api/users/stats', authenticateToken, async (req, res) => {
+// Reject Withdrawal
+app.put('/api/admin/withdrawals/:id/reject', authenticateToken, requirePermission('withdrawals:approve'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const withdrawalId = req.params.id;
+    const { reason } = req.body;
     
-    const [
-      { count: productsCount },
-      { count: servicesCount },
-      { count: jobsCount },
-      { count: socialCount },
-      { count: totalReferrals },
-      { data: referralsData },
-      { data: withdrawalsData },
-      { data: postsData }
-    ] = await Promise.all([
-      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
-        .eq('user_id', userId).eq('type', 'product').eq('status', 'active'),
-      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
-        .eq('user_id', userId).eq('type', 'service').eq('status', 'active'),
-      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
-        .eq('user_id', userId).eq('type', 'job').eq('status', 'active'),
-      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true })
-        .eq('user_id', userId).eq('type', 'social').eq('status', 'active'),
-      supabaseAdmin.from('referrals').select('*', { count: 'exact', head: true })
-        .eq('referrer_id', userId).eq('status', 'approved'),
-      supabaseAdmin.from('referrals').select('commission')
-        .eq('referrer_id', userId).eq('status', 'approved'),
-      supabaseAdmin.from('withdrawals').select('amount')
-        .eq('user_id', userId).eq('status', 'approved'),
-      supabaseAdmin.from('posts').select('views')
-        .eq('user_id', userId)
-    ]);
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Rejection reason is required' 
+      });
+    }
     
-    const totalViews = postsData?.reduce((sum, post) => sum + (post.views || 0), 0) || 0;
-    const totalEarned = referralsData?.reduce((sum, r) => sum + (r.commission || 0), 0) || 0;
-    const totalWithdrawn = withdrawalsData?.reduce((sum, w) => sum + (w.amount || 0), 0) || 0;
-    const availableBalance = req.user.earnings_balance || 0;
+    const { data: withdrawal, error: withdrawalError } = await supabaseAdmin
+      .from('withdrawals')
+      .select('*')
+      .eq('id', withdrawalId)
+      .single();
     
-    res.json({
-      success: true,
-      stats: {
-        productsCount: productsCount || 0,
-        servicesCount: servicesCount || 0,
-        jobsCount: jobsCount || 0,
-        socialCount: socialCount || 0,
-        totalViews,
-        totalReferrals: totalReferrals || 0,
-        totalEarned,
-        totalWithdrawn,
-        availableBalance
-      }
-    });
+    if (withdrawalError || !withdrawal) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Withdrawal not found' 
+      });
+    }
     
-  } catch (error) {
-    console.error('User stats error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch user statistics', 
-      error: error.message 
+    if (withdrawal.status !== 'pending') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Withdrawal is already ${withdrawal.status}` 
+      });
+    }
+    
+    // The status, the release of any hold and the audit entry commit together
+    const rejected = await settleWithdrawal(withdrawal, {
+      from: 'pending',
+      changes: { status: 'rejected', rejection_reason: reason.trim(), updated_at: new Date().toISOString() },
+      postings: await withdrawalReleasePostings(withdrawal),
+      description: `Withdrawal released: ${reason.trim()}`,
+      createdBy: req.user.id,
+      audit: auditEntry(req, {
+        action: 'withdrawal.reject',
+        targetType: 'withdrawal',
+        reason: reason.trim(),
+        metadata: { userId: withdrawal.user_id, amount: withdrawal.amount, netAmount: withdrawal.net_amount, mpesaNumber: withdrawal.mpesa_number }
+      })
     });
-  }
-});
-
-// ============================================
-// ADMIN ENDPOINTS
-// ============================================
-
-// Admin Dashboard Stats
-app.get('/api/admin/stats', authenticateToken, isAdmin, async (req, res) => {
-  try {
-    const [
-      { count: totalUsers },
-      { count: totalPosts },
-      { count: pendingApprovals },
-      { data: revenueData },
-      { count: activeSubscriptions },
-      { count: pendingWithdrawals }
-    ] = await Promise.all([
-      supabaseAdmin.from('users').select('*', { count: 'exact', head: true }),
-      supabaseAdmin.from('posts').select('*', { count: 'exact', head: true }).eq('status', 'active'),
-      supabaseAdmin.from('payments').select('*', { count: 'exact', head: true }).eq('status', 'pending'),
-      supabaseAdmin.from('payments').select('amount').eq('status', 'approved'),
-      supabaseAdmin.from('users').select('*', { count: 'exact', head: true }).eq('subscription_active', true),
-      supabaseAdmin.from('withdrawals').select('*', { count: 'exact', head: true }).eq('status', 'pending')
-    ]);
     
-    const totalRevenue = revenueData?.reduce((sum, p) => sum + (p.amount || 0), 0) || 0;
+    if (!rejected) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Withdrawal was already handled' 
+      });
+    }
+    
+    await createNotification(withdrawal.user_id, {
+      title: 'Withdrawal Rejected',
+      message: `Your withdrawal of ${formatPrice(withdrawal.amount)} was rejected and returned to your balance: ${reason.trim()}`,
+      type: 'withdrawal',
+      data: { withdrawalId, status: 'rejected', reason: reason.trim() }
+    });
     
     res.json({
       success: true,
-      stats: {
-        totalUsers: totalUsers || 0,
-        totalPosts: totalPosts || 0,
-        pendingApprovals: pendingApprovals || 0,
-        totalRevenue,
-        activeSubscriptions: activeSubscriptions || 0,
-        pendingWithdrawals: pendingWithdrawals || 0
-      }
+      message: 'Withdrawal rejected successfully'
     });
     
   } catch (error) {
-    console.error('Admin stats error:', error);
+    console.error('Reject withdrawal error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch admin statistics', 
+      message: 'Failed to reject withdrawal', 
       error: error.message 
     });
   }
 });
 
-// Get Pending Payments
-app.get('/api/admin/payments/pending', authenticateToken, isAdmin, async (req, res) => {
+// Get All Users (Admin)
+app.get('/api/admin/users', authenticateToken, requirePermission('users:view'), async (req, res) => {
   try {
-    const { data: payments, error } = await supabaseAdmin
-      .from('payments')
-      .select(`
-        *,
-        user:users(name, email, phone)
-      `)
-      .eq('status', 'pending')
-      .order('created_at', { ascending: false });
+    const { page = 1, limit = 50, search, status, role } = req.query;
+    
+    let query = supabaseAdmin
+      .from('users')
+      .select('id, name, email, phone, role, status, subscription_active, upgraded, earnings_balance, created_at', { count: 'exact' });
+    
+    if (search) {
+      query = query.or(`name.ilike.%${search}%,email.ilike.%${search}%,phone.ilike.%${search}%`);
+    }
+    
+    if (status) query = query.eq('status', status);
+    if (role) query = query.eq('role', role);
+    
+    query = query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+    
+    const { data: users, error, count } = await query;
     
     if (error) throw error;
     
     res.json({
       success: true,
-      payments: payments || []
+      users: users || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
     });
     
   } catch (error) {
-    console.error('Pending payments error:', error);
+    console.error('Admin users error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch pending payments', 
+      message: 'Failed to fetch users', 
       error: error.message 
     });
   }
 });
 
-// Approve Payment
-app.put('/api/admin/payments/:id/approve', authenticateToken, isAdmin, async (req, res) => {
+// Update User (Admin)
+app.put('/api/admin/users/:id', authenticateToken, requirePermission('users:manage'), requireFreshTwoFactor, async (req, res) => {
   try {
-    const paymentId = req.params.id;
+    const userId = req.params.id;
+    const { status, subscription_active, upgraded, verified } = req.body;
     
-    // Get payment
-    const { data: payment, error: paymentError } = await supabaseAdmin
-      .from('payments')
-      .select('*')
-      .eq('id', paymentId)
+    const { data: target } = await supabaseAdmin
+      .from('users')
+      .select('role')
+      .eq('id', userId)
       .single();
     
-    if (paymentError || !payment) {
+    if (!target) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Payment not found' 
+        message: 'User not found' 
       });
     }
     
-    // Update payment status
-    const { error: updateError } = await supabaseAdmin
-      .from('payments')
-      .update({ 
-        status: 'approved',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', paymentId);
+    if (STAFF_ROLES.includes(target.role) && !hasPermission(req, 'roles:assign')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only a superadmin can change staff accounts' 
+      });
+    }
     
-    if (updateError) throw updateError;
+    const updateData = {
+      status,
+      subscription_active,
+      upgraded,
+      verified,
+      updated_at: new Date().toISOString()
+    };
     
-    // Update user based on payment type
-    if (payment.type === 'subscription') {
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + 7); // 7 days
-      
-      await supabaseAdmin
-        .from('users')
-        .update({
-          subscription_active: true,
-          subscription_expires_at: expiresAt.toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', payment.user_id);
-      
-      // Handle referral commission
-      const { data: user } = await supabaseAdmin
-        .from('users')
-        .select('referral_from')
-        .eq('id', payment.user_id)
-        .single();
-      
-      if (user?.referral_from) {
-        const { data: referrer } = await supabaseAdmin
-          .from('users')
-          .select('id')
-          .eq('referral_code', user.referral_from)
-          .single();
-        
-        if (referrer) {
-          // Update referral status
-          await supabaseAdmin
-            .from('referrals')
-            .update({
-              status: 'approved',
-              updated_at: new Date().toISOString()
-            })
-            .eq('referrer_id', referrer.id)
-            .eq('referred_user_id', payment.user_id)
-            .eq('type', 'subscription');
-          
-          // Update referrer earnings
-          await supabaseAdmin
-            .from('users')
-            .update({
-              earnings_balance: supabaseAdmin.rpc('increment', { x: REFERRAL_SUB_COMMISSION }),
-              earnings_total: supabaseAdmin.rpc('increment', { x: REFERRAL_SUB_COMMISSION }),
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', referrer.id);
-        }
-      }
-    } else if (payment.type === 'upgrade') {
-      await supabaseAdmin
-        .from('users')
-        .update({
-          upgraded: true,
-          upgraded_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', payment.user_id);
-      
-      // Handle upgrade referral commission
-      const { data: referral } = await supabaseAdmin
-        .from('referrals')
-        .select('*')
-        .eq('referred_user_id', payment.user_id)
-        .eq('type', 'upgrade')
-        .eq('status', 'pending')
-        .single();
-      
-      if (referral) {
-        await supabaseAdmin
-          .from('referrals')
-          .update({
-            status: 'approved',
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', referral.id);
-        
-        await supabaseAdmin
-          .from('users')
-          .update({
-            earnings_balance: supabaseAdmin.rpc('increment', { x: REFERRAL_UPGRADE_COMMISSION }),
-            earnings_total: supabaseAdmin.rpc('increment', { x: REFERRAL_UPGRADE_COMMISSION }),
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', referral.referrer_id);
-      }
+    // Remove undefined values
+    Object.keys(updateData).forEach(key => 
+      updateData[key] === undefined && delete updateData[key]
+    );
+    
+    const user = await auditedUpdate(req, {
+      table: 'users',
+      id: userId,
+      changes: updateData,
+      action: 'user.update',
+      targetType: 'user'
+    });
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+    
+    if (status && status !== 'active') {
+      await revokeUserSessions(userId, { reason: 'suspended' });
     }
     
     res.json({
       success: true,
-      message: 'Payment approved successfully'
+      message: 'User updated successfully',
+      user: withoutSecrets(user)
     });
     
   } catch (error) {
-    console.error('Approve payment error:', error);
+    console.error('Update user error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to approve payment', 
+      message: 'Failed to update user', 
       error: error.message 
     });
   }
 });
 
-// Get Pending Withdrawals
-app.get('/api/admin/withdrawals/pending', authenticateToken, isAdmin, async (req, res) => {
+// List Staff Roles (Admin)
+app.get('/api/admin/roles', authenticateToken, requirePermission('roles:assign'), async (req, res) => {
   try {
-    const { data: withdrawals, error } = await supabaseAdmin
-      .from('withdrawals')
-      .select(`
-        *,
-        user:users(name, email, phone)
-      `)
-      .eq('status', 'pending')
-      .order('created_at', { ascending: false });
+    const { data: staff, error } = await supabaseAdmin
+      .from('users')
+      .select('id, name, email, role, two_factor_enabled, status')
+      .in('role', STAFF_ROLES)
+      .order('role', { ascending: true });
     
     if (error) throw error;
     
     res.json({
       success: true,
-      withdrawals: withdrawals || []
+      roles: ROLE_PERMISSIONS,
+      staff: staff || []
     });
     
   } catch (error) {
-    console.error('Pending withdrawals error:', error);
+    console.error('Admin roles error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch pending withdrawals', 
+      message: 'Failed to fetch roles', 
       error: error.message 
     });
   }
 });
 
-// Approve Withdrawal
-app.put('/api/admin/withdrawals/:id/approve', authenticateToken, isAdmin, async (req, res) => {
+// Assign Role (Superadmin)
+app.put('/api/admin/users/:id/role', authenticateToken, requirePermission('roles:assign'), requireFreshTwoFactor, async (req, res) => {
   try {
-    const withdrawalId = req.params.id;
+    const { role } = req.body;
     
-    // Get withdrawal
-    const { data: withdrawal, error: withdrawalError } = await supabaseAdmin
-      .from('withdrawals')
-      .select('*')
-      .eq('id', withdrawalId)
-      .single();
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Role must be one of: ${USER_ROLES.join(', ')}` 
+      });
+    }
     
-    if (withdrawalError || !withdrawal) {
+    // Stops the last superadmin from locking everyone out
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'You cannot change your own role' 
+      });
+    }
+    
+    const updated = await auditedUpdate(req, {
+      table: 'users',
+      id: req.params.id,
+      changes: { role, updated_at: new Date().toISOString() },
+      action: 'user.role',
+      targetType: 'user'
+    });
+    
+    if (!updated) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Withdrawal not found' 
+        message: 'User not found' 
       });
     }
     
-    // Check user balance
-    const { data: user } = await supabaseAdmin
-      .from('users')
-      .select('earnings_balance, earnings_withdrawn')
-      .eq('id', withdrawal.user_id)
-      .single();
+    const { id, name, email, two_factor_enabled } = updated;
+    const user = { id, name, email, role, two_factor_enabled };
+    
+    await createNotification(user.id, {
+      title: 'Account Role Changed',
+      message: STAFF_ROLES.includes(role)
+        ? `You now have the ${role} role.${user.two_factor_enabled ? '' : ' Set up two-factor authentication to use admin features.'}`
+        : 'Your staff access has been removed',
+      type: 'security'
+    });
+    
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      user,
+      permissions: ROLE_PERMISSIONS[role] || []
+    });
+    
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update role', 
+      error: error.message 
+    });
+  }
+});
+
+// Remove Review (Admin)
+app.delete('/api/admin/reviews/:id', authenticateToken, requirePermission('content:moderate'), async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
     
-    if (user.earnings_balance < withdrawal.amount) {
+    if (!reason) {
       return res.status(400).json({ 
         success: false, 
-        message: 'User has insufficient balance' 
+        message: 'A removal reason is required' 
       });
     }
     
-    // Update withdrawal status
-    const { error: updateError } = await supabaseAdmin
-      .from('withdrawals')
-      .update({ 
-        status: 'approved',
-        approved_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
+    const { data: removed, error } = await supabaseAdmin
+      .from('reviews')
+      .update({
+        status: 'removed',
+        removal_reason: reason,
+        removed_by: req.user.id,
+        removed_at: new Date().toISOString()
       })
-      .eq('id', withdrawalId);
+      .eq('id', req.params.id)
+      .eq('status', 'active')
+      .select('id, user_id, shop_id, post_id');
     
-    if (updateError) throw updateError;
+    if (error) throw error;
     
-    // Update user balance
-    await supabaseAdmin
-      .from('users')
-      .update({
-        earnings_balance: user.earnings_balance - withdrawal.amount,
-        earnings_withdrawn: user.earnings_withdrawn + withdrawal.amount,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', withdrawal.user_id);
+    if (!removed?.length) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Review not found or already removed' 
+      });
+    }
+    
+    await refreshReviewStats(removed[0]);
+    
+    await recordAudit(req, {
+      action: 'review.remove',
+      targetType: 'review',
+      targetId: removed[0].id,
+      before: { status: 'active' },
+      after: { status: 'removed' },
+      reason,
+      metadata: { userId: removed[0].user_id, shopId: removed[0].shop_id, postId: removed[0].post_id }
+    });
     
-    // TODO: Integrate with M-Pesa API here
+    await createNotification(removed[0].user_id, {
+      title: 'Review Removed',
+      message: `Your review was removed by a moderator. Reason: ${reason}`,
+      type: 'review',
+      data: { reviewId: removed[0].id }
+    });
     
     res.json({
       success: true,
-      message: 'Withdrawal approved and processed'
+      message: 'Review removed successfully'
     });
     
   } catch (error) {
-    console.error('Approve withdrawal error:', error);
+    console.error('Remove review error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to approve withdrawal', 
+      message: 'Failed to remove review', 
       error: error.message 
     });
   }
 });
 
-// Get All Users (Admin)
-app.get('/api/admin/users', authenticateToken, isAdmin, async (req, res) => {
+// Get Conversation Reports (Admin)
+app.get('/api/admin/reports/conversations', authenticateToken, requirePermission('conversations:moderate'), async (req, res) => {
   try {
-    const { page = 1, limit = 50, search, status, role } = req.query;
+    const { status = 'open' } = req.query;
     
-    let query = supabaseAdmin
-      .from('users')
-      .select('id, name, email, phone, role, status, subscription_active, upgraded, earnings_balance, created_at', { count: 'exact' });
+    const { data: reports, error } = await supabaseAdmin
+      .from('conversation_reports')
+      .select(`
+        *,
+        reporter:users(id, name, phone),
+        conversation:conversations(id, buyer_id, seller_id, post_id, shop_id, blocked_by, last_message_at)
+      `)
+      .eq('status', status)
+      .order('created_at', { ascending: true });
     
-    if (search) {
-      query = query.or(`name.ilike.%${search}%,email.ilike.%${search}%,phone.ilike.%${search}%`);
-    }
+    if (error) throw error;
     
-    if (status) query = query.eq('status', status);
-    if (role) query = query.eq('role', role);
+    res.json({
+      success: true,
+      reports: reports || []
+    });
     
-    query = query
-      .order('created_at', { ascending: false })
-      .range((page - 1) * limit, page * limit - 1);
+  } catch (error) {
+    console.error('Get conversation reports error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch reports', 
+      error: error.message 
+    });
+  }
+});
+
+// Resolve Conversation Report (Admin)
+app.put('/api/admin/reports/conversations/:id/resolve', authenticateToken, requirePermission('conversations:moderate'), async (req, res) => {
+  try {
+    const { data: existing } = await supabaseAdmin
+      .from('conversation_reports')
+      .select('status')
+      .eq('id', req.params.id)
+      .single();
     
-    const { data: users, error, count } = await query;
+    const { data: report, error } = await supabaseAdmin
+      .from('conversation_reports')
+      .update({ status: 'resolved' })
+      .eq('id', req.params.id)
+      .select()
+      .single();
     
-    if (error) throw error;
+    if (error || !report) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Report not found' 
+      });
+    }
+    
+    await recordAudit(req, {
+      action: 'conversation_report.resolve',
+      targetType: 'conversation_report',
+      targetId: report.id,
+      before: existing || {},
+      after: { status: 'resolved' },
+      metadata: { conversationId: report.conversation_id }
+    });
     
     res.json({
       success: true,
-      users: users || [],
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: count || 0,
-        pages: Math.ceil((count || 0) / parseInt(limit))
-      }
+      message: 'Report resolved',
+      report
     });
     
   } catch (error) {
-    console.error('Admin users error:', error);
+    console.error('Resolve conversation report error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to fetch users', 
+      message: 'Failed to resolve report', 
       error: error.message 
     });
   }
 });
 
-// Update User (Admin)
-app.put('/api/admin/users/:id', authenticateToken, isAdmin, async (req, res) => {
+// Get Audit Log (Admin)
+app.get('/api/admin/audit', authenticateToken, requirePermission('audit:view'), async (req, res) => {
   try {
-    const userId = req.params.id;
-    const { status, role, subscription_active, upgraded, verified } = req.body;
+    const { page = 1, limit = 50, actorId, action, targetType, targetId, from, to } = req.query;
     
-    const updateData = {
-      status,
-      role,
-      subscription_active,
-      upgraded,
-      verified,
-      updated_at: new Date().toISOString()
-    };
+    if ([from, to].some(date => date && isNaN(new Date(date)))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'from and to must be valid dates' 
+      });
+    }
     
-    // Remove undefined values
-    Object.keys(updateData).forEach(key => 
-      updateData[key] === undefined && delete updateData[key]
-    );
+    if ([actorId, targetId].some(id => id && !UUID_PATTERN.test(id))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'actorId and targetId must be valid ids' 
+      });
+    }
     
-    const { data: user, error } = await supabaseAdmin
-      .from('users')
-      .update(updateData)
-      .eq('id', userId)
-      .select()
-      .single();
+    let query = supabaseAdmin
+      .from('audit_logs')
+      .select('*', { count: 'exact' });
+    
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (action) query = query.eq('action', action);
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', targetId);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+    
+    query = query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+    
+    const { data: entries, error, count } = await query;
     
     if (error) throw error;
     
     res.json({
       success: true,
-      message: 'User updated successfully',
-      user
+      entries: entries || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || 0,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
     });
     
   } catch (error) {
-    console.error('Update user error:', error);
+    console.error('Get audit log error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to update user', 
+      message: 'Failed to fetch audit log', 
       error: error.message 
     });
   }
@@ -2346,6 +9742,215 @@ app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
   }
 });
 
+// ============================================
+// SCHEDULED JOBS
+// ============================================
+
+// Expires lapsed subscriptions and premium upgrades and reminds users
+// whose plans run out within EXPIRY_REMINDER_HOURS
+async function runExpiryJob() {
+  const now = new Date().toISOString();
+  const reminderCutoff = new Date(Date.now() + EXPIRY_REMINDER_HOURS * 60 * 60 * 1000).toISOString();
+  const planColumns = 'id, subscription_active, subscription_expires_at, upgraded, upgrade_expires_at';
+  
+  const [
+    { data: lapsedSubscriptions, error: subscriptionsError },
+    { data: lapsedUpgrades, error: upgradesError }
+  ] = await Promise.all([
+    supabaseAdmin.from('users').select(planColumns)
+      .eq('subscription_active', true).lte('subscription_expires_at', now),
+    supabaseAdmin.from('users').select(planColumns)
+      .eq('upgraded', true).lte('upgrade_expires_at', now)
+  ]);
+  
+  if (subscriptionsError) throw subscriptionsError;
+  if (upgradesError) throw upgradesError;
+  
+  const lapsedUsers = new Map();
+  [...(lapsedSubscriptions || []), ...(lapsedUpgrades || [])].forEach(user => lapsedUsers.set(user.id, user));
+  
+  for (const user of lapsedUsers.values()) {
+    await expireLapsedPlans(user);
+  }
+  
+  const reminders = [
+    { plan: 'subscription', activeColumn: 'subscription_active', expiresColumn: 'subscription_expires_at', sentColumn: 'subscription_reminder_sent_at', label: 'subscription', amount: SUB_AMOUNT },
+    { plan: 'upgrade', activeColumn: 'upgraded', expiresColumn: 'upgrade_expires_at', sentColumn: 'upgrade_reminder_sent_at', label: 'premium upgrade', amount: UPGRADE_AMOUNT }
+  ];
+  const remindersSent = {};
+  
+  for (const reminder of reminders) {
+    // Claiming the reminder before notifying keeps overlapping runs from sending it twice
+    const { data: users, error } = await supabaseAdmin
+      .from('users')
+      .update({ [reminder.sentColumn]: now })
+      .eq(reminder.activeColumn, true)
+      .gt(reminder.expiresColumn, now)
+      .lte(reminder.expiresColumn, reminderCutoff)
+      .is(reminder.sentColumn, null)
+      .select(`id, ${reminder.expiresColumn}`);
+    
+    if (error) throw error;
+    
+    for (const user of users || []) {
+      await createNotification(user.id, {
+        title: 'Renewal Reminder',
+        message: `Your ${reminder.label} expires on ${new Date(user[reminder.expiresColumn]).toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' })}. Renew for ${formatPrice(reminder.amount)} to avoid interruption`,
+        type: 'subscription',
+        data: { plan: reminder.plan, expiresAt: user[reminder.expiresColumn] }
+      });
+    }
+    
+    remindersSent[reminder.plan] = users?.length || 0;
+  }
+  
+  return {
+    subscriptionsExpired: (lapsedSubscriptions || []).length,
+    upgradesExpired: (lapsedUpgrades || []).length,
+    remindersSent
+  };
+}
+
+// Matches posts queued by POST /api/posts against saved searches. A post that
+// fails stays queued and is retried once its claim goes stale.
+async function runSavedSearchAlerts() {
+  const staleClaim = new Date(Date.now() - SAVED_SEARCH_CLAIM_MINUTES * 60 * 1000).toISOString();
+  
+  const { data: queued, error } = await supabaseAdmin
+    .from('saved_search_queue')
+    .select('post_id')
+    .or(`claimed_at.is.null,claimed_at.lt.${staleClaim}`)
+    .order('created_at', { ascending: true })
+    .limit(SAVED_SEARCH_ALERT_BATCH);
+  
+  if (error) throw error;
+  if (!queued?.length) return { postsProcessed: 0, matches: 0 };
+  
+  // Claiming the posts before matching keeps overlapping runs from alerting twice
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('saved_search_queue')
+    .update({ claimed_at: new Date().toISOString() })
+    .in('post_id', queued.map(item => item.post_id))
+    .or(`claimed_at.is.null,claimed_at.lt.${staleClaim}`)
+    .select('post_id');
+  
+  if (claimError) throw claimError;
+  
+  const postIds = (claimed || []).map(item => item.post_id);
+  if (!postIds.length) return { postsProcessed: 0, matches: 0 };
+  
+  const { data: posts, error: postsError } = await supabaseAdmin
+    .from('posts')
+    .select('*')
+    .in('id', postIds)
+    .eq('status', 'active');
+  
+  if (postsError) throw postsError;
+  
+  let matches = 0;
+  const failed = new Set();
+  
+  for (const post of posts || []) {
+    try {
+      matches += await alertSavedSearches(post);
+    } catch (alertError) {
+      console.error('Saved search alert error:', alertError.message);
+      failed.add(post.id);
+    }
+  }
+  
+  // Posts deleted since they were queued are dropped along with the finished ones
+  const done = postIds.filter(id => !failed.has(id));
+  
+  if (done.length) {
+    await supabaseAdmin
+      .from('saved_search_queue')
+      .delete()
+      .in('post_id', done);
+  }
+  
+  return { postsProcessed: done.length, matches };
+}
+
+// Sends one notification per saved search for matches queued since the last digest
+async function runSavedSearchDigest() {
+  // Claiming the matches before notifying keeps overlapping runs from sending them twice
+  const { data: matches, error } = await supabaseAdmin
+    .from('saved_search_matches')
+    .update({ notified_at: new Date().toISOString() })
+    .is('notified_at', null)
+    .select('post_id, search:saved_searches(id, user_id, name, alert_mode)');
+  
+  if (error) throw error;
+  
+  const digests = new Map();
+  (matches || []).forEach(match => {
+    if (!match.search || match.search.alert_mode === 'off') return;
+    
+    const digest = digests.get(match.search.id) || { search: match.search, postIds: [] };
+    digest.postIds.push(match.post_id);
+    digests.set(match.search.id, digest);
+  });
+  
+  for (const { search, postIds } of digests.values()) {
+    await createNotification(search.user_id, {
+      title: `${postIds.length} new ${postIds.length === 1 ? 'match' : 'matches'} for "${search.name}"`,
+      message: 'New posts match your saved search. Tap to see them.',
+      type: 'saved_search',
+      data: { savedSearchId: search.id, postIds }
+    });
+  }
+  
+  return digests.size;
+}
+
+// ============================================
+// CRON ENDPOINTS
+// ============================================
+
+// Run Scheduled Jobs (Vercel cron)
+app.get('/api/cron/run', authenticateCron, async (req, res) => {
+  try {
+    const expiry = await runExpiryJob();
+    const boostsExpired = await clearExpiredBoosts({ force: true });
+    const savedSearchAlerts = await runSavedSearchAlerts();
+    const savedSearchDigests = await runSavedSearchDigest();
+    
+    res.json({
+      success: true,
+      results: { expiry, boostsExpired, savedSearchAlerts, savedSearchDigests }
+    });
+    
+  } catch (error) {
+    console.error('Cron error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Scheduled jobs failed', 
+      error: error.message 
+    });
+  }
+});
+
+// Match New Posts Against Saved Searches (Vercel cron)
+app.get('/api/cron/saved-search-alerts', authenticateCron, async (req, res) => {
+  try {
+    const results = await runSavedSearchAlerts();
+    
+    res.json({
+      success: true,
+      results
+    });
+    
+  } catch (error) {
+    console.error('Saved search alerts cron error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Saved search alerts failed', 
+      error: error.message 
+    });
+  }
+});
+
 // ============================================
 // HEALTH & UTILITY ENDPOINTS
 // ============================================
@@ -2386,7 +9991,7 @@ app.get('/api/payment-details', (req, res) => {
         description: 'Monthly Premium Upgrade'
       },
       boost: {
-        amount: 100,
+        amount: BOOST_AMOUNT,
         description: 'Post Boost'
       }
     }